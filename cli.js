@@ -5,7 +5,7 @@
  */
 
 const Commander = require("./commander");
-const MongoClient = require("mongodb").MongoClient;
+const Storage = require("./storage");
 const priv = require("./private");
 
 const ctx = {
@@ -21,23 +21,20 @@ const args = process.argv.slice(2);
 // Get inputted username, default "ajay"
 const username = args.reduce((u, a) => a.startsWith("--user=") ? a.substring(7) : u, "ajay");
 
-process.stdout.write("Waiting for init...");
-setTimeout(async () => {
-  console.log("starting");
-  const client = new MongoClient(priv.mongoSrv, { useNewUrlParser: true });
-  client.connect(async (err) => {
-    if (err) console.log("Error connecting to MongoDB:", err);
+// Get storage backend, default from private.json
+const storage = args.reduce((s, a) => a.startsWith("--storage=") ? a.substring(10) : s, priv.storage);
 
-    // Find user by username
-    const user = await client.db(priv.mongoDbName).collection("users").findOne({ username });
+Storage.init({ storage }).then(async () => {
+  // Find user by username, falling back to the username as the Slack ID so
+  // that new users can be tried out with an empty store
+  const user = await Storage.collection("users").findOne({ username });
 
-    ctx.request.body.user_name = username;
-    ctx.request.body.user_id = user.slackId;
-    ctx.request.body.text = args.filter(a => !a.startsWith("--user=")).join(" ");
+  ctx.request.body.user_name = username;
+  ctx.request.body.user_id = user ? user.slackId : username;
+  ctx.request.body.text = args.filter(a => !a.startsWith("--")).join(" ");
 
-    Commander.do(ctx, () => {
-      console.log(ctx.body || "No output");
-      process.exit(0);
-    });
+  Commander.do(ctx, () => {
+    console.log(ctx.body || "No output");
+    process.exit(0);
   });
-}, 5000);
+});
@@ -2,13 +2,22 @@
  * Takes input (from server or CLI) and performs the appropriate action
  */
 
-const dfParse = require("./df_parse");
+const parse = require("./parse");
 const Users = require("./models/users");
 const Stats = require("./models/stats");
 const Menu = require("./models/menu");
+const MenuSearch = require("./util/menu_search");
+const RestaurantNames = require("./util/restaurant_names");
+const Diet = require("./util/diet");
+const Favorites = require("./util/favorites");
+const Poll = require("./util/poll");
 const Slack = require("./util/slack");
 const Transform = require("./util/transform");
 const Orders = require("./models/orders");
+const History = require("./models/history");
+const Settings = require("./models/settings");
+const Calendar = require("./models/calendar");
+const Scheduler = require("./scheduler");
 const logger = require("./logger")("commander");
 
 const priv = require("./private");
@@ -24,16 +33,38 @@ module.exports.do = async (ctx, next) => {
   }
   if (ctx.request.body.user_name === "slackbot") return {};
 
+  // parse returns false when nothing matches, which falls through to the unknown reply
+  const { command, args = {} } = (await parse(cleanPhone(ctx.request.body.text))) || {};
+  logger.info(command);
+  logger.info(args);
+  await execute(ctx, command, args);
+  return next();
+};
+
+/**
+ * Performs the given command for the user in ctx.request.body and sets the
+ * response in ctx.body. This is also used for Slack interactions (see
+ * interactive.js), which don't need to be parsed.
+ */
+const execute = async (ctx, command, args) => {
   const username = ctx.request.body.user_name;
   const slackId = ctx.request.body.user_id;
   const you = await Users.getUser(slackId);
-  const { command, args } = await dfParse(cleanPhone(ctx.request.body.text));
-  logger.info(command);
-  logger.info(args);
+
+  // Restaurants may be referred to by any alias (see Menu.getAliases)
+  if (args["restaurant"]) {
+    const restaurant = await Menu.resolveRestaurant(args["restaurant"]);
+    if (!restaurant) {
+      ctx.body = { text: `I don't know a restaurant called ${args["restaurant"]}. Ask me to list restaurants to see where you can order from.` };
+      return;
+    }
+    args = Object.assign({}, args, { restaurant });
+  }
+
   switch (command) {
     case "Regular Order": {
-      if (isLate()) {
-        ctx.body = { text: "Alfred has already ordered for today." };
+      if (await isLate()) {
+        ctx.body = { text: await lateMessage() };
         break;
       }
       if (!you) {
@@ -44,15 +75,22 @@ module.exports.do = async (ctx, next) => {
       const parsed = Transform.parseOrders(args["order"]);
       const restaurant = args["restaurant"] || (await Transform.guessRestaurant(parsed));
       if (restaurant) {
+        const pollCheck = await Poll.checkRestaurant(restaurant);
+        if (pollCheck && pollCheck.blocked) {
+          ctx.body = { text: pollCheck.text };
+          break;
+        }
+
         const fixedItems = await Transform.correctItems(parsed, restaurant);
         const successfulItems = fixedItems.filter(i => i.successful);
         if (successfulItems.length > 0)
           await Orders.addOrder(restaurant, slackId, username, successfulItems);
 
-        ctx.body = {
-          text: `Here is your order from *${restaurant}*:`,
-          attachments: Slack.formatItems(fixedItems),
-        };
+        const actions = await Slack.orderActions(fixedItems, parsed, restaurant);
+        ctx.body = Slack.withActions({
+          text: `${pollCheck ? `${pollCheck.text}\n` : ""}Here is your order from *${restaurant}*:`,
+          attachments: await Slack.formatItems(fixedItems, you.diet),
+        }, successfulItems.length > 0 ? actions.concat(Slack.editActions()) : actions);
       } else {
         ctx.body = { text: "No restaurant chosen. Please reorder!" };
       }
@@ -70,13 +108,30 @@ module.exports.do = async (ctx, next) => {
         await Users.removeUser(slackId);
         ctx.body = { text: `Information for ${Slack.atUser(slackId)} has been removed` };
       } else if (args["forget-what"] === "favorite" || args["forget-what"] === "fav") {
-        // Remove favorite
-        await Users.removeFavorite(slackId);
-        ctx.body = { text: `Removed favorite for ${Slack.atUser(slackId)}` };
+        // Remove one favorite at a time
+        if (you.favorites.length === 0) {
+          ctx.body = { text: "No favorite order saved" };
+          break;
+        }
+        const chosen = args["name"] || args["restaurant"] || you.favorites.length === 1;
+        const favorite = chosen && Favorites.findFavorite(you.favorites, args["name"], args["restaurant"]);
+        if (!chosen) {
+          const names = you.favorites.map(f => `• ${f.name} (${f.restaurant})`).join("\n");
+          ctx.body = { text: `Which favorite should I forget? You have:\n${names}` };
+        } else if (!favorite) {
+          ctx.body = { text: "Couldn't find that favorite. Ask for your info to see your favorites." };
+        } else {
+          await Users.removeFavorite(slackId, favorite.name);
+          ctx.body = { text: `Removed ${Slack.formatFavoriteName(favorite)} for ${Slack.atUser(slackId)}` };
+        }
+      } else if (args["forget-what"] === "diet") {
+        // Remove dietary restrictions and allergies
+        await Users.removeDiet(slackId);
+        ctx.body = { text: `Removed dietary restrictions and allergies for ${Slack.atUser(slackId)}` };
       } else {
         // Default forget order
-        if (isLate()) {
-          ctx.body = { text: "Alfred has already ordered for today." };
+        if (await isLate()) {
+          ctx.body = { text: await lateMessage() };
           break;
         }
         const order = await Orders.removeOrder(slackId);
@@ -90,8 +145,220 @@ module.exports.do = async (ctx, next) => {
     }
 
     case "Order Favorite": {
-      if (isLate()) {
-        ctx.body = { text: "Alfred has already ordered for today." };
+      if (await isLate()) {
+        ctx.body = { text: await lateMessage() };
+        break;
+      }
+      if (!you) {
+        ctx.body = { text: "Please register your info first." };
+        break;
+      }
+
+      const favorite = Favorites.findFavorite(you.favorites, args["name"], args["restaurant"]);
+      if (!favorite) {
+        if (!Favorites.isDefaultName(args["name"])) {
+          // "order my pad thai" is a regular order rather than a favorite
+          await execute(ctx, "Regular Order", { order: args["name"], restaurant: args["restaurant"] });
+        } else {
+          ctx.body = { text: args["restaurant"] ? `No favorite order saved for ${args["restaurant"]}` : "No favorite order saved" };
+        }
+        break;
+      }
+
+      const restaurant = favorite.restaurant;
+      const pollCheck = await Poll.checkRestaurant(restaurant);
+      if (pollCheck && pollCheck.blocked) {
+        ctx.body = { text: pollCheck.text };
+        break;
+      }
+
+      // The menu may have changed since the favorite was saved
+      const corrected = await Favorites.correctFavorite(favorite);
+      if (!corrected) {
+        ctx.body = { text: `${restaurant} isn't available anymore. Please set a new favorite!` };
+        break;
+      }
+      // Only order the favorite if every item is still right, so nobody gets
+      // part of their usual order without noticing
+      const { parsed, fixedItems } = corrected;
+      if (fixedItems.some(i => !i.successful)) {
+        ctx.body = Slack.withActions({
+          text: "Some items in your favorite have changed on the menu, so nothing was ordered. Please order them yourself, or update your favorite:",
+          attachments: await Slack.formatItems(fixedItems, you.diet),
+        }, await Slack.orderActions(fixedItems, parsed, restaurant));
+        break;
+      }
+
+      // Keep the favorite up to date
+      await Orders.addOrder(restaurant, slackId, username, fixedItems);
+      await Users.updateFavoriteItems(slackId, favorite.name, fixedItems);
+
+      ctx.body = Slack.withActions({
+        text: `${pollCheck ? `${pollCheck.text}\n` : ""}Here is your order from *${restaurant}*:`,
+        attachments: await Slack.formatItems(fixedItems, you.diet),
+      }, Slack.editActions());
+      break;
+    }
+
+    case "Add Item": {
+      if (await isLate()) {
+        ctx.body = { text: await lateMessage() };
+        break;
+      }
+      const order = await Orders.getOrderForUser(slackId);
+      if (!order || order.isDonor) {
+        ctx.body = { text: "You don't have an order today. Place an order first!" };
+        break;
+      }
+      if (args["restaurant"] && args["restaurant"] !== order.restaurant) {
+        ctx.body = { text: `Your order is from ${order.restaurant}. Place a new order to change restaurants.` };
+        break;
+      }
+
+      const parsed = args["order"] ? Transform.parseOrders(args["order"]) : [];
+      if (parsed.length === 0) {
+        ctx.body = { text: "Please specify what to add, like \"add a mango lassi\"." };
+        break;
+      }
+
+      const fixedItems = await flagOtherRestaurants(await Transform.correctItems(parsed, order.restaurant), parsed, order.restaurant);
+      const successfulItems = fixedItems.filter(i => i.successful);
+      const updated = successfulItems.length > 0 ? await Orders.appendItems(slackId, successfulItems) : order;
+
+      ctx.body = Slack.withActions({
+        text: `Here is your updated order from *${order.restaurant}*:`,
+        attachments: await Slack.formatItems(updated.items.concat(fixedItems.filter(i => !i.successful)), you && you.diet),
+      }, await Slack.orderActions(fixedItems, parsed, order.restaurant));
+      break;
+    }
+
+    case "Remove Item": {
+      if (await isLate()) {
+        ctx.body = { text: await lateMessage() };
+        break;
+      }
+      const order = await Orders.getOrderForUser(slackId);
+      if (!order || order.isDonor) {
+        ctx.body = { text: "You don't have an order today." };
+        break;
+      }
+
+      const index = await findItemToEdit(ctx, order, args["item"], "remove the naan", you);
+      if (index === -1) break;
+
+      const removedName = order.items[index].item.name;
+      const updated = await Orders.removeItem(slackId, index);
+      if (updated.items.length === 0) {
+        await Orders.removeOrder(slackId);
+        ctx.body = { text: `Removed ${removedName}. Your order from ${order.restaurant} is now empty, so it was removed.` };
+      } else {
+        ctx.body = {
+          text: `Removed ${removedName}. Here is your updated order from *${order.restaurant}*:`,
+          attachments: await Slack.formatItems(updated.items, you && you.diet),
+        };
+      }
+      break;
+    }
+
+    case "Change Item": {
+      if (await isLate()) {
+        ctx.body = { text: await lateMessage() };
+        break;
+      }
+      const order = await Orders.getOrderForUser(slackId);
+      if (!order || order.isDonor) {
+        ctx.body = { text: "You don't have an order today." };
+        break;
+      }
+      // Only the first item entered is used as the replacement
+      const parsed = args["order"] ? Transform.parseOrders(args["order"]).slice(0, 1) : [];
+      if (parsed.length === 0) {
+        ctx.body = { text: "Please specify what to change it to, like \"change the naan to garlic naan\"." };
+        break;
+      }
+
+      const index = await findItemToEdit(ctx, order, args["item"], "change the naan to garlic naan", you);
+      if (index === -1) break;
+
+      const [fixedItem] = await flagOtherRestaurants(await Transform.correctItems(parsed, order.restaurant), parsed, order.restaurant);
+      if (fixedItem.successful) {
+        const updated = await Orders.replaceItem(slackId, index, fixedItem);
+        ctx.body = {
+          text: `Here is your updated order from *${order.restaurant}*:`,
+          attachments: await Slack.formatItems(updated.items, you && you.diet),
+        };
+      } else {
+        ctx.body = {
+          text: `Couldn't change ${order.items[index].item.name}, your order is unchanged:`,
+          attachments: await Slack.formatItems(order.items.concat(fixedItem), you && you.diet),
+        };
+      }
+      break;
+    }
+
+    case "Volunteer": {
+      if (await isLate()) {
+        ctx.body = { text: await lateMessage() };
+        break;
+      }
+      const order = await Orders.getOrderForUser(slackId);
+      if (!order || order.isDonor) {
+        ctx.body = { text: "You need an order today to take the call." };
+        break;
+      }
+      if (args["restaurant"] && args["restaurant"] !== order.restaurant) {
+        ctx.body = { text: `Your order is from ${order.restaurant}, so you can only take the call for ${order.restaurant}.` };
+        break;
+      }
+
+      const volunteer = (await Orders.getOrders()).find((o) => {
+        return o.restaurant === order.restaurant && o.isVolunteer && o.slackId !== slackId;
+      });
+      if (volunteer) {
+        ctx.body = { text: `${Slack.atUser(volunteer.slackId)} is already taking the call for ${order.restaurant}.` };
+        break;
+      }
+
+      await Orders.setVolunteer(slackId, true);
+      ctx.body = { text: `Thanks! Grubhub will call ${Slack.atUser(slackId)} about the ${order.restaurant} order.` };
+      break;
+    }
+
+    case "Unvolunteer": {
+      if (await isLate()) {
+        ctx.body = { text: await lateMessage() };
+        break;
+      }
+      const order = await Orders.getOrderForUser(slackId);
+      if (!order || !order.isVolunteer) {
+        ctx.body = { text: "You haven't volunteered to take the call today." };
+        break;
+      }
+
+      await Orders.setVolunteer(slackId, false);
+      ctx.body = { text: `No problem, someone else will take the call for ${order.restaurant}.` };
+      break;
+    }
+
+    case "Order History": {
+      const date = args["date"] && Transform.parseDate(args["date"]);
+      const entries = await History.getHistoryForUser(slackId, date, args["restaurant"]);
+      if (entries.length === 0) {
+        const when = date ? ` on ${Transform.formatDate(date)}` : "";
+        const from = args["restaurant"] ? ` from ${args["restaurant"]}` : "";
+        ctx.body = { text: `You don't have any orders${from}${when}.` };
+      } else {
+        ctx.body = {
+          text: date ? `Here's what you ordered on ${Transform.formatDate(date)}:` : "Here are your most recent orders:",
+          attachments: Slack.formatHistory(entries),
+        };
+      }
+      break;
+    }
+
+    case "Reorder": {
+      if (await isLate()) {
+        ctx.body = { text: await lateMessage() };
         break;
       }
       if (!you) {
@@ -99,28 +366,86 @@ module.exports.do = async (ctx, next) => {
         break;
       }
 
-      if (!you.favorite) {
-        ctx.body = { text: "No favorite order saved" };
+      const date = args["date"] && Transform.parseDate(args["date"]);
+      const entry = (await History.getHistoryForUser(slackId, date, args["restaurant"])).find(e => e.items.length > 0);
+      if (!entry) {
+        ctx.body = { text: "Couldn't find a past order to reorder." };
+        break;
+      }
+      if (!(await Menu.getMenu(entry.restaurant))) {
+        ctx.body = { text: `${entry.restaurant} isn't available anymore.` };
+        break;
+      }
+      const pollCheck = await Poll.checkRestaurant(entry.restaurant);
+      if (pollCheck && pollCheck.blocked) {
+        ctx.body = { text: pollCheck.text };
+        break;
+      }
+
+      // Check the items against today's menu
+      const parsed = Transform.itemsToParsed(entry.items);
+      const fixedItems = await Transform.correctItems(parsed, entry.restaurant);
+      const successfulItems = fixedItems.filter(i => i.successful);
+      if (successfulItems.length > 0)
+        await Orders.addOrder(entry.restaurant, slackId, username, successfulItems);
+
+      const actions = await Slack.orderActions(fixedItems, parsed, entry.restaurant);
+      ctx.body = Slack.withActions({
+        text: `${pollCheck ? `${pollCheck.text}\n` : ""}Reordered your ${Transform.formatDate(entry.date)} order from *${entry.restaurant}*:`,
+        attachments: await Slack.formatItems(fixedItems, you.diet),
+      }, successfulItems.length > 0 ? actions.concat(Slack.editActions()) : actions);
+      break;
+    }
+
+    case "Vote": {
+      if (!args["restaurant"]) {
+        ctx.body = { text: "Which restaurant do you want to vote for?" };
+        break;
+      }
+
+      const { poll, error } = await Poll.vote(slackId, args["restaurant"]);
+      if (error) {
+        ctx.body = { text: error };
       } else {
-        await Orders.addOrder(you.favorite.restaurant, slackId, username, you.favorite.items);
         ctx.body = {
-          text: `Here is your order from *${you.favorite.restaurant}*:`,
-          attachments: Slack.formatItems(you.favorite.items),
+          text: `Thanks ${Slack.atUser(slackId)}, your vote for ${poll.votes[slackId]} has been counted. Here are the results so far:`,
+          attachments: Slack.formatPoll(Poll.tallyVotes(poll)),
         };
       }
       break;
     }
 
+    case "Poll Results": {
+      const poll = await Poll.getPoll();
+      if (!poll) {
+        ctx.body = { text: "There's no poll today." };
+        break;
+      }
+
+      const { pollDeadline } = await Calendar.getSchedule();
+      let text;
+      if (!poll.closed) {
+        text = `The poll closes at ${Transform.formatTime(pollDeadline)}. Here are the results so far:`;
+      } else if (poll.winners.length > 0) {
+        text = `The poll is closed. Today's ${poll.winners.length > 1 ? "restaurants are" : "restaurant is"} *${poll.winners.join("* and *")}*:`;
+      } else {
+        text = "The poll is closed, but nobody voted.";
+      }
+      ctx.body = { text, attachments: Slack.formatPoll(Poll.tallyVotes(poll), poll.winners) };
+      break;
+    }
+
     case "List Restaurants": {
       const menus = await Menu.getAllMenus();
       const options = menus
-        .filter(m => m.url && m.name)
-        .map(m => `• <${m.url}|${m.name}>`).join("\n");
+        .filter(m => m.name)
+        .map(m => `• ${Slack.formatLink(m.url, m.name)}`).join("\n");
       ctx.body = { text: `Here are the restaurants you may order from:\n${options}` };
       break;
     }
 
     case "List Orders": {
+      const { budget } = await Settings.getSettings();
       const restaurants = Object.values((await Orders.getOrders()).reduce((memo, order) => {
         if (!memo[order.restaurant]) {
           memo[order.restaurant] = {
@@ -139,7 +464,7 @@ module.exports.do = async (ctx, next) => {
         ctx.body = { text: "There are no orders today!" };
       } else {
         const attachments = restaurants.map((data) => {
-          const isOver = data.total > data.participants * 25;
+          const isOver = data.total > data.participants * budget;
           const overText = isOver ? "\nThis order is over-budget." : "";
 
           return {
@@ -159,8 +484,8 @@ module.exports.do = async (ctx, next) => {
     }
 
     case "Donate": {
-      if (isLate()) {
-        ctx.body = { text: "Alfred has already ordered for today." };
+      if (await isLate()) {
+        ctx.body = { text: await lateMessage() };
         break;
       }
       if (!args["restaurant"]) {
@@ -173,37 +498,47 @@ module.exports.do = async (ctx, next) => {
       break;
     }
 
-    /*
     case "Get Menu": {
       if (!args["restaurant"]) {
         ctx.body = { text: "Please specify a restaurant." };
         break;
       }
 
-      if (restaurant.error) {
-        ctx.body = { text: restaurant.error };
+      const menuPage = await MenuSearch.getMenuPage(args["restaurant"], args["page"], args["section"]);
+      if (menuPage) {
+        ctx.body = Slack.formatMenuPage(menuPage);
       } else {
-        const width = 8;
-        const itemText = restaurant.menu.map((item) => {
-          let priceText = item.price ? `$${item.price.toFixed(2)}` : "Unknown";
-          while (priceText.length < width) priceText += " ";
-          return `${priceText} ${item.name}`;
-        }).join("\n");
+        ctx.body = { text: `I don't have a menu for ${args["restaurant"]}.` };
+      }
+      break;
+    }
 
-        ctx.body = {
-          text: [
-            `Here's the menu for ${restaurant.name}:`,
-            "```",
-            `Delivery minimum: $${restaurant.deliveryMin.toFixed(2)}`,
-            "",
-            itemText,
-            "```",
-          ].join("\n")
-        };
+    case "Search Menu": {
+      if (!args["query"]) {
+        ctx.body = { text: "Please specify what you're looking for." };
+        break;
+      }
+
+      const results = await MenuSearch.searchItems(args["query"], args["restaurant"]);
+      ctx.body = Slack.formatSearchResults(results, args["query"]);
+      break;
+    }
+
+    case "Get Item": {
+      if (!args["item"]) {
+        ctx.body = { text: "Please specify an item." };
+        break;
+      }
+
+      const found = await MenuSearch.getItem(args["item"], args["restaurant"]);
+      if (found) {
+        ctx.body = Slack.formatItemOptions(found);
+      } else {
+        const from = args["restaurant"] ? ` from ${args["restaurant"]}` : "";
+        ctx.body = { text: `Couldn't find ${args["item"]}${from}.` };
       }
       break;
     }
-    */
 
     case "Announce": {
       if (!you) {
@@ -232,17 +567,37 @@ module.exports.do = async (ctx, next) => {
         break;
       }
 
+      // Favorites without a name are the default for their restaurant
+      const name = Favorites.isDefaultName(args["name"]) ? undefined : args["name"].trim();
+      if (!args["order"]) {
+        // "save this as my spicy lunch" saves today's order
+        const order = await Orders.getOrderForUser(slackId);
+        if (!order || order.isDonor) {
+          ctx.body = { text: "You don't have an order today to save." };
+          break;
+        }
+
+        const favorite = { name: name || order.restaurant, restaurant: order.restaurant };
+        await Users.saveFavorite(slackId, favorite.name, order.restaurant, order.items, !name);
+        ctx.body = {
+          text: `Saved your order from *${order.restaurant}* as your ${Slack.formatFavoriteName(favorite)}:`,
+          attachments: await Slack.formatItems(order.items, you.diet),
+        };
+        break;
+      }
+
       const parsed = Transform.parseOrders(args["order"]);
       const restaurant = args["restaurant"] || (await Transform.guessRestaurant(parsed));
       if (restaurant) {
         const fixedItems = await Transform.correctItems(parsed, restaurant);
         const successfulItems = fixedItems.filter(i => i.successful);
+        const favorite = { name: name || restaurant, restaurant };
         if (successfulItems.length > 0)
-          await Users.saveFavorite(slackId, restaurant, successfulItems);
+          await Users.saveFavorite(slackId, favorite.name, restaurant, successfulItems, !name);
 
         ctx.body = {
-          text: `Saved this order from *${restaurant}* as your favorite:`,
-          attachments: Slack.formatItems(fixedItems),
+          text: `Saved this order from *${restaurant}* as your ${Slack.formatFavoriteName(favorite)}:`,
+          attachments: await Slack.formatItems(fixedItems, you.diet),
         };
       } else {
         ctx.body = { text: "No restaurant chosen. Please reorder!" };
@@ -262,12 +617,20 @@ module.exports.do = async (ctx, next) => {
           `Name:   ${you.name}`,
           `Number: ${you.phone}`,
         ];
-        if (you.favorite) {
-          const items = you.favorite.items.map(({ item, options }) => {
-            return `${item.name}${options.length > 0 ? ` (${options.map(o => o.name).join(", ")})` : ""}`;
+        if (you.favorites.length > 0) innerText.push("\nFavorites:");
+        you.favorites.forEach((favorite) => {
+          const items = favorite.items.map(({ item, options, quantity }) => {
+            const quantityText = quantity > 1 ? `${quantity}x ` : "";
+            return `${quantityText}${item.name}${options.length > 0 ? ` (${options.map(o => o.name).join(", ")})` : ""}`;
           }).join(", ");
-          innerText.push(`\nFavorite: ${items} from ${you.favorite.restaurant}`);
-        }
+          const name = favorite.name === favorite.restaurant ? "" : `${favorite.name}: `;
+          const usual = favorite.isDefault ? " (usual)" : "";
+          innerText.push(`• ${name}${items} from ${favorite.restaurant}${usual}`);
+          if (favorite.errors && favorite.errors.length > 0) {
+            innerText.push(favorite.errors.map(e => `  Out of date: ${e}`).join("\n"));
+          }
+        });
+        if (you.diet) innerText.push(`\nDiet:   ${Diet.formatDiet(you.diet)}`);
 
         ctx.body = { text: `${Slack.atUser(slackId)}'s info:\`\`\`${innerText.join("\n")}\`\`\`` };
       } else {
@@ -279,10 +642,10 @@ module.exports.do = async (ctx, next) => {
         // Show current order
         const order = await Orders.getOrderForUser(slackId);
         if (order) {
-          ctx.body = {
+          ctx.body = Slack.withActions({
             text: `Here is your order from *${order.restaurant}*:`,
-            attachments: Slack.formatItems(order.items),
-          };
+            attachments: await Slack.formatItems(order.items, you.diet),
+          }, order.isDonor ? [] : Slack.editActions());
         } else {
           ctx.body = { text: "You haven't submitted an order for today." };
         }
@@ -300,31 +663,58 @@ module.exports.do = async (ctx, next) => {
       break;
     }
 
+    case "Set Diet": {
+      if (!you) {
+        ctx.body = { text: "Please register your info first." };
+        break;
+      }
+
+      const diet = Diet.parseDiet(args["diet"] || "");
+      if (!diet) {
+        ctx.body = { text: "Couldn't understand your dietary restrictions. Try something like \"I'm vegetarian and allergic to peanuts\"." };
+        break;
+      }
+
+      const saved = args["also"] && you.diet ? Diet.mergeDiets(you.diet, diet) : diet;
+      await Users.saveDiet(slackId, saved);
+      ctx.body = { text: `Saved for ${Slack.atUser(slackId)}: ${Diet.formatDiet(saved)}\nThis will be added to the special instructions of your orders.` };
+      break;
+    }
+
     case "Stats": {
-      if (args["stats-type"]) {
+      const range = args["date-range"] && Transform.parseDateRange(args["date-range"]);
+      if (args["date-range"] && !range) {
+        ctx.body = { text: `I don't understand the dates "${args["date-range"]}". Try something like "this month", "since June" or "in Q2".` };
+        break;
+      }
+      const during = range ? ` ${Transform.formatDateRange(range)}` : "";
+
+      if (args["stats-type"] && args["restaurant"]) {
+        // Global stats for restaurant
+        const stats = await Stats.getGlobalStatsForRestaurant(args["restaurant"], range);
+        const text = `Global stats for ${args["restaurant"]}${during}:\n${Slack.statsFormatter(stats)}`;
+        ctx.body = { text };
+      } else if (args["stats-type"]) {
         // Global stats
-        let errMsg = "";
-        if (args["restaurant"]) {
-          errMsg = "Global stats for specific restaurants isn't supported.\n";
-        }
-        const stats = await Stats.getGlobalStats();
-        const text = `${errMsg}Global stats:\n${Slack.statsFormatter(stats)}`;
+        const stats = await Stats.getGlobalStats(range);
+        const text = `Global stats${during}:\n${Slack.statsFormatter(stats)}`;
         ctx.body = { text };
       } else if (args["restaurant"]) {
           // Stats for user from restaurant
-          const stats = await Stats.getStatsForUserFromRestaurant(slackId, args["restaurant"]);
-          const text = `Stats for ${Slack.atUser(slackId)} from ${args["restaurant"]}:\n${Slack.statsFormatter(stats)}`;
+          const stats = await Stats.getStatsForUserFromRestaurant(slackId, args["restaurant"], range);
+          const text = `Stats for ${Slack.atUser(slackId)} from ${args["restaurant"]}${during}:\n${Slack.statsFormatter(stats)}`;
           ctx.body = { text };
       } else {
         // General stats for user
-        const stats = await Stats.getStatsForUser(slackId);
-        const text = `General stats for ${Slack.atUser(slackId)}:\n${Slack.statsFormatter(stats)}`;
+        const stats = await Stats.getStatsForUser(slackId, range);
+        const text = `General stats for ${Slack.atUser(slackId)}${during}:\n${Slack.statsFormatter(stats)}`;
         ctx.body = { text };
       }
       break;
     }
 
     case "Help": {
+      const { cutoff, deliveryTime } = await Calendar.getSchedule();
       const egs = [
         "toppings for pizza",
         "how many wings",
@@ -336,12 +726,201 @@ module.exports.do = async (ctx, next) => {
         "1. Enter your information by telling Alfred your Grubhub name and phone number.\n" +
         "2. Order your items by telling Alfred what you want and from which restaurant.\n" +
         `Specify additional options (like ${eg}) by putting them in parentheses.\n\n` +
-        "Alfred receives orders until 3:30, and each order is placed for 5:30.\n" +
+        `Alfred receives orders until ${Transform.formatTime(cutoff)}, and each order is placed for ${Transform.formatTime(deliveryTime)}.\n` +
         "For a full list of commands, <https://github.com/ajay-gandhi/alfred/blob/master/COMMANDS.md|click here>.";
       ctx.body = { text };
       break;
     }
 
+    case "Get Settings": {
+      if (!(await Settings.isAdmin(slackId))) {
+        ctx.body = { text: "Only admins can view settings." };
+        break;
+      }
+
+      ctx.body = { text: `Here are the current settings:\n${Slack.formatSettings(await Settings.getSettings())}` };
+      break;
+    }
+
+    case "Change Setting": {
+      if (!(await Settings.isAdmin(slackId))) {
+        ctx.body = { text: "Only admins can change settings." };
+        break;
+      }
+
+      const key = Settings.resolveName(args["setting"] || "");
+      if (!key) {
+        ctx.body = { text: `There is no setting called ${args["setting"]}.` };
+        break;
+      }
+
+      const value = await Settings.updateSetting(key, args["value"] || "");
+      if (value === undefined) {
+        ctx.body = { text: `"${args["value"]}" isn't a valid value for ${args["setting"]}.` };
+      } else {
+        ctx.body = { text: `Updated settings:\n${Slack.formatSettings(await Settings.getSettings())}` };
+      }
+      break;
+    }
+
+    case "List Jobs": {
+      if (!(await Settings.isAdmin(slackId))) {
+        ctx.body = { text: "Only admins can view jobs." };
+        break;
+      }
+
+      ctx.body = { text: `Here are the scheduled jobs:\n${Slack.formatJobs(await Scheduler.getJobs())}` };
+      break;
+    }
+
+    case "Run Job": {
+      if (!(await Settings.isAdmin(slackId))) {
+        ctx.body = { text: "Only admins can run jobs." };
+        break;
+      }
+
+      const job = Scheduler.resolveJob(args["job"] || "");
+      if (!job) {
+        const names = (await Scheduler.getJobs()).map(j => `"${j.name}"`).join(", ");
+        ctx.body = { text: `There is no job called ${args["job"]}. The jobs are ${names}.` };
+        break;
+      }
+
+      let started, busy;
+      try {
+        ({ started, busy } = await Scheduler.run(job, slackId));
+      } catch (err) {
+        logger.error(err);
+        ctx.body = { text: `Couldn't start ${job}, please try again.` };
+        break;
+      }
+      if (started) {
+        ctx.body = { text: `Started ${job}. Ask me to show jobs to see how it went.` };
+      } else {
+        ctx.body = { text: busy === job ? `${job} is already running.` : `${job} can't start while ${busy} is running.` };
+      }
+      break;
+    }
+
+    case "Show Calendar": {
+      const days = await Calendar.getUpcomingDays();
+      if (days.length === 0) {
+        ctx.body = { text: "There are no upcoming closures or schedule changes." };
+      } else {
+        ctx.body = { text: `Here are the upcoming closures and schedule changes:\n${Slack.formatCalendar(days)}` };
+      }
+      break;
+    }
+
+    case "Close Day": {
+      if (!(await Settings.isAdmin(slackId))) {
+        ctx.body = { text: "Only admins can close Alfred." };
+        break;
+      }
+
+      const date = Transform.parseDate(args["date"] || "", new Date(), true);
+      if (!date) {
+        ctx.body = { text: `I couldn't tell which day "${args["date"]}" is. Try a date like 12/24.` };
+        break;
+      }
+
+      await Calendar.closeDay(date, args["reason"], slackId);
+      const orders = date === Transform.dateKey() ? await Orders.getOrders() : [];
+      const ordersText = orders.length > 0 ? ` The ${orders.length} orders already in for today won't be placed.` : "";
+      ctx.body = { text: `Alfred will be closed on ${Transform.formatDate(date)}${args["reason"] ? ` for ${args["reason"]}` : ""}, and won't open or take orders that day.${ordersText}` };
+      break;
+    }
+
+    case "Change Day": {
+      if (!(await Settings.isAdmin(slackId))) {
+        ctx.body = { text: "Only admins can change the schedule." };
+        break;
+      }
+
+      const key = Settings.resolveName(args["setting"] || "");
+      if (!Calendar.DAY_SETTINGS.includes(key)) {
+        ctx.body = { text: "Only the cutoff, delivery time, open time, dry run time and poll deadline can be changed for a single day." };
+        break;
+      }
+      const date = Transform.parseDate(args["date"] || "", new Date(), true);
+      if (!date) {
+        ctx.body = { text: `I couldn't tell which day "${args["date"]}" is. Try a date like 12/24.` };
+        break;
+      }
+      const value = Settings.parseSetting(key, args["value"] || "");
+      if (value === undefined) {
+        ctx.body = { text: `"${args["value"]}" isn't a valid value for ${args["setting"]}.` };
+        break;
+      }
+
+      await Calendar.changeDay(date, key, value, slackId);
+      const { dryRunTime } = await Calendar.getSchedule(date);
+      const dryRunText = key === "cutoff" ? ` The dry run will be at ${Transform.formatTime(dryRunTime)}.` : "";
+      ctx.body = { text: `The ${args["setting"]} on ${Transform.formatDate(date)} will be ${Transform.formatTime(value)}.${dryRunText}` };
+      break;
+    }
+
+    case "Reset Day": {
+      if (!(await Settings.isAdmin(slackId))) {
+        ctx.body = { text: "Only admins can change the schedule." };
+        break;
+      }
+
+      const date = Transform.parseDate(args["date"] || "", new Date(), true);
+      if (!date) {
+        ctx.body = { text: `I couldn't tell which day "${args["date"]}" is. Try a date like 12/24.` };
+        break;
+      }
+
+      const removed = await Calendar.clearDay(date);
+      ctx.body = { text: `${Transform.formatDate(date)} ${removed ? "is back on" : "was already on"} the usual schedule.` };
+      break;
+    }
+
+    case "Add Nickname": {
+      if (!(await Settings.isAdmin(slackId))) {
+        ctx.body = { text: "Only admins can add nicknames." };
+        break;
+      }
+      if (!args["nickname"] || !args["restaurant"]) {
+        ctx.body = { text: "Please specify a nickname and a restaurant, like \"add nickname ikes for Ike's Place\"." };
+        break;
+      }
+
+      const previous = await Menu.addNickname(args["restaurant"], args["nickname"]);
+      const moved = previous ? ` It no longer refers to ${previous}.` : "";
+      ctx.body = { text: `"${RestaurantNames.normalizeName(args["nickname"])}" now refers to ${args["restaurant"]}.${moved}` };
+      break;
+    }
+
+    case "Remove Nickname": {
+      if (!(await Settings.isAdmin(slackId))) {
+        ctx.body = { text: "Only admins can remove nicknames." };
+        break;
+      }
+
+      const restaurant = await Menu.removeNickname(args["nickname"] || "");
+      if (restaurant) {
+        ctx.body = { text: `"${RestaurantNames.normalizeName(args["nickname"])}" no longer refers to ${restaurant}.` };
+      } else {
+        ctx.body = { text: `There is no nickname "${args["nickname"]}". Names generated from a restaurant's name can't be removed.` };
+      }
+      break;
+    }
+
+    case "List Nicknames": {
+      const menus = (await Menu.getAllMenus()).filter((m) => {
+        return (!args["restaurant"] || m.name === args["restaurant"]) && m.nicknames && m.nicknames.length > 0;
+      });
+      if (menus.length === 0) {
+        ctx.body = { text: `There are no nicknames${args["restaurant"] ? ` for ${args["restaurant"]}` : ""}.` };
+      } else {
+        const lines = menus.map(m => `• ${m.name}: ${m.nicknames.join(", ")}`);
+        ctx.body = { text: `Here are the restaurant nicknames:\n${lines.join("\n")}` };
+      }
+      break;
+    }
+
     case "Small Talk": {
       ctx.body = args;
       break;
@@ -357,16 +936,61 @@ module.exports.do = async (ctx, next) => {
       ctx.body = { text: `${unknown[Math.floor(unknown.length * Math.random())]}${tryHelp}` };
     }
   }
-  return next();
 };
+module.exports.execute = execute;
 
 /********************************** Helpers ***********************************/
 
-// Returns true if it is past 3:30pm
-const isLate = () => {
+// Returns true if it is past today's cutoff time (which may be changed in the
+// calendar), or Alfred is closed today
+const isLate = async () => {
+  const { cutoff, closed } = await Calendar.getSchedule();
   const now = new Date();
-  // return false;
-  return now.getHours() > 15 || (now.getHours() > 14 && now.getMinutes() > 30)
+  return closed || now.getHours() * 100 + now.getMinutes() > cutoff;
+};
+module.exports.isLate = isLate;
+
+// Explains why orders can't be changed when isLate is true
+const lateMessage = async () => {
+  const { closed, reason } = await Calendar.getSchedule();
+  if (!closed) return "Alfred has already ordered for today.";
+  return `Alfred is closed today${reason ? ` for ${reason}` : ""}, so it isn't taking orders.`;
+};
+module.exports.lateMessage = lateMessage;
+
+// Adds an error to items that weren't found at the given restaurant, but would
+// be found at another one
+const flagOtherRestaurants = async (fixedItems, parsed, restaurant) => {
+  return Promise.all(fixedItems.map(async (fixedItem, i) => {
+    if (fixedItem.successful || fixedItem.errors) return fixedItem;
+
+    const otherRestaurant = await Transform.guessRestaurant([parsed[i]]);
+    if (otherRestaurant && otherRestaurant !== restaurant) {
+      fixedItem.errors = [`This item is from ${otherRestaurant}, but your order is from ${restaurant}.`];
+    }
+    return fixedItem;
+  }));
+};
+
+// Returns the index of the item in the order that the user wants to remove or
+// change, or -1 after replying if the name is missing, unknown or ambiguous.
+// The example shows how to name the item
+const findItemToEdit = async (ctx, order, itemName, example, you) => {
+  if (!itemName || !itemName.trim()) {
+    ctx.body = { text: `Please specify which item, like "${example}".` };
+    return -1;
+  }
+
+  const indexes = Transform.findOrderItems(order.items, itemName);
+  if (indexes.length === 1) return indexes[0];
+
+  ctx.body = {
+    text: indexes.length === 0
+      ? `Couldn't find ${itemName} in your order from *${order.restaurant}*:`
+      : `"${itemName}" could be more than one item in your order from *${order.restaurant}*. Please use the full name:`,
+    attachments: await Slack.formatItems(order.items, you && you.diet),
+  };
+  return -1;
 };
 
 // Removes Slack formatting for tel
@@ -48,7 +48,7 @@ module.exports = (text) => {
         } else {
           const args = {};
           Object.keys(result.parameters.fields).forEach((key) => {
-            args[key] = result.parameters.fields[key].stringValue;
+            args[key] = fromField(result.parameters.fields[key]);
           });
           resolve({
             command: result.intent.displayName,
@@ -62,3 +62,19 @@ module.exports = (text) => {
       });
   });
 };
+
+/**
+ * Converts a Dialogflow parameter to a string, or to an object for structs
+ * like date periods ({ startDate, endDate }). Empty structs are empty strings,
+ * like parameters that weren't matched.
+ */
+const fromField = (field) => {
+  // Numbers (e.g. menu page) aren't given as strings
+  if (field.kind === "numberValue") return String(field.numberValue);
+  if (field.kind === "structValue") {
+    const fields = field.structValue.fields || {};
+    if (Object.keys(fields).length === 0) return "";
+    return Object.keys(fields).reduce((memo, key) => Object.assign(memo, { [key]: fromField(fields[key]) }), {});
+  }
+  return field.stringValue;
+};
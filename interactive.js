@@ -0,0 +1,227 @@
+/**
+ * Handles Slack interactions: buttons, menus and modals
+ *
+ * Slack posts a form containing a JSON payload. Button and menu actions
+ * (block_actions) are answered by posting to the payload's response URL, and
+ * modal submissions (view_submission) are answered in the response body.
+ */
+
+const Commander = require("./commander");
+const Users = require("./models/users");
+const Menu = require("./models/menu");
+const Orders = require("./models/orders");
+const Slack = require("./util/slack");
+const Transform = require("./util/transform");
+const Poll = require("./util/poll");
+const logger = require("./logger")("interactive");
+
+const priv = require("./private");
+
+module.exports.do = async (ctx, next) => {
+  let payload;
+  try {
+    payload = JSON.parse(ctx.request.body.payload);
+  } catch (err) {
+    logger.info("Request does not have a valid payload");
+    return;
+  }
+  if (payload.token !== priv.slackIncomingToken) {
+    logger.info("Request does not have proper secret");
+    return;
+  }
+
+  const user = {
+    user_id: payload.user.id,
+    user_name: payload.user.username || payload.user.name,
+  };
+  logger.info(`${payload.type} from ${user.user_name}`);
+
+  if (payload.type === "block_actions") {
+    for (const action of payload.actions) {
+      // Numbered action IDs (like poll_vote_2) share a handler
+      const handler = ACTIONS[action.action_id.replace(/_\d+$/, "")];
+      if (!handler) continue;
+
+      try {
+        const message = await handler(action, user, payload);
+        if (message) await Slack.respond(payload.response_url, Object.assign({ replace_original: false }, message));
+      } catch (err) {
+        logger.error(err);
+      }
+    }
+    ctx.status = 200;
+  } else if (payload.type === "view_submission") {
+    const handler = SUBMISSIONS[payload.view.callback_id];
+    let response;
+    try {
+      response = handler && await handler(payload.view, user);
+    } catch (err) {
+      logger.error(err);
+      // Keep the modal open, so the user knows the edit may not have been saved
+      const input = (payload.view.blocks || []).find(b => b.type === "input");
+      if (input) {
+        response = {
+          response_action: "errors",
+          errors: { [input.block_id]: "Something went wrong. Please check your order and try again." },
+        };
+      }
+    }
+    if (response) {
+      ctx.body = response;
+    } else {
+      ctx.status = 200;
+    }
+  }
+  return next();
+};
+
+/**
+ * Each action handler is keyed by action ID (see Slack.orderActions etc.),
+ * without any number at the end, and returns the message to respond with, if
+ * any
+ */
+const ACTIONS = {
+  order_suggestion: async (action, user) => {
+    const { restaurant, item, options, quantity } = JSON.parse(action.value);
+    return (await orderItems(user, restaurant, [[item, options, quantity]])).message;
+  },
+
+  order_option: async (action, user) => {
+    const { restaurant, item, options, quantity } = JSON.parse(action.block_id);
+    const [setIndex, optionIndex] = action.selected_option.value.split(":").map(Number);
+
+    // The menu may have changed since the choices were sent
+    const menu = await Menu.getMenu(restaurant);
+    const menuItem = menu && (menu.items || []).find(i => i.name === item);
+    const optionSet = menuItem && (menuItem.optionSets || [])[setIndex];
+    const option = optionSet && optionSet.options[optionIndex];
+    if (!option) return { text: `${item} has changed on the menu at ${restaurant}. Please order it again.` };
+
+    return (await orderItems(user, restaurant, [[item, options.concat(option.name), quantity]])).message;
+  },
+
+  order_favorite: async (action, user) => runCommand(user, "Order Favorite", {}),
+
+  forget_order: async (action, user) => runCommand(user, "Forget", { "forget-what": "order" }),
+
+  poll_vote: async (action, user) => runCommand(user, "Vote", { restaurant: action.value }),
+
+  edit_order: async (action, user, payload) => {
+    const order = await Orders.getOrderForUser(user.user_id);
+    if (!order || order.isDonor) return { text: "You don't have an order today." };
+
+    const restaurants = (await Menu.getAllMenus()).filter(m => m.items).map(m => ({
+      text: { type: "plain_text", text: m.name },
+      value: m.name,
+    }));
+
+    // Slack allows 100 options, and the initial option has to be one of them
+    const current = restaurants.find(r => r.value === order.restaurant);
+    const options = current
+      ? [current].concat(restaurants.filter(r => r !== current)).slice(0, 100)
+      : restaurants.slice(0, 100);
+
+    await Slack.callApi("views.open", {
+      trigger_id: payload.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "edit_order",
+        private_metadata: JSON.stringify({ responseUrl: payload.response_url }),
+        title: { type: "plain_text", text: "Edit your order" },
+        submit: { type: "plain_text", text: "Order" },
+        blocks: [
+          {
+            type: "input",
+            block_id: "order",
+            label: { type: "plain_text", text: "Items" },
+            hint: { type: "plain_text", text: "Separate items with commas, and put options in parentheses." },
+            element: {
+              type: "plain_text_input",
+              action_id: "order",
+              multiline: true,
+              initial_value: Transform.itemsToText(order.items),
+            },
+          },
+          {
+            type: "input",
+            block_id: "restaurant",
+            label: { type: "plain_text", text: "Restaurant" },
+            element: {
+              type: "static_select",
+              action_id: "restaurant",
+              options,
+              initial_option: current,
+            },
+          },
+        ],
+      },
+    });
+  },
+};
+
+/**
+ * Each submission handler is keyed by the modal's callback ID and returns the
+ * response body, if any
+ */
+const SUBMISSIONS = {
+  edit_order: async (view, user) => {
+    const values = view.state.values;
+    const restaurant = values.restaurant.restaurant.selected_option.value;
+    const parsed = Transform.parseOrders(values.order.order.value);
+
+    const { saved, message } = await orderItems(user, restaurant, parsed, true);
+    if (!saved) {
+      return {
+        response_action: "errors",
+        // Messages without attachments are errors from before the items were checked
+        errors: { order: message.attachments ? "None of these items are on the menu." : message.text },
+      };
+    }
+
+    const { responseUrl } = JSON.parse(view.private_metadata);
+    await Slack.respond(responseUrl, Object.assign({ replace_original: false }, message));
+  },
+};
+
+/********************************** Helpers ***********************************/
+
+/**
+ * Corrects and saves the given parsed items. If the user already has an order
+ * from this restaurant the items are added to it, otherwise (or if replace is
+ * set) the items replace the existing order.
+ */
+const orderItems = async ({ user_id: slackId, user_name: username }, restaurant, parsed, replace) => {
+  if (await Commander.isLate()) return { saved: false, message: { text: await Commander.lateMessage() } };
+  const you = await Users.getUser(slackId);
+  if (!you) return { saved: false, message: { text: "Please register your info first." } };
+
+  const order = await Orders.getOrderForUser(slackId);
+  const isNewRestaurant = !order || order.isDonor || order.restaurant !== restaurant;
+  const pollCheck = isNewRestaurant && await Poll.checkRestaurant(restaurant);
+  if (pollCheck && pollCheck.blocked) return { saved: false, message: { text: pollCheck.text } };
+
+  const fixedItems = await Transform.correctItems(parsed, restaurant);
+  const successfulItems = fixedItems.filter(i => i.successful);
+
+  let items = successfulItems;
+  if (!replace && !isNewRestaurant) {
+    items = successfulItems.length > 0 ? (await Orders.appendItems(slackId, successfulItems)).items : order.items;
+  } else if (successfulItems.length > 0) {
+    await Orders.addOrder(restaurant, slackId, username, successfulItems);
+  }
+
+  const message = Slack.withActions({
+    text: `${pollCheck ? `${pollCheck.text}\n` : ""}Here is your order from *${restaurant}*:`,
+    attachments: await Slack.formatItems(items.concat(fixedItems.filter(i => !i.successful)), you.diet),
+  }, await Slack.orderActions(fixedItems, parsed, restaurant));
+  return { saved: successfulItems.length > 0, message };
+};
+
+/**
+ * Runs a command as if the user had typed it and returns the response
+ */
+const runCommand = async (user, command, args) => {
+  const ctx = { request: { body: user } };
+  await Commander.execute(ctx, command, args);
+  return ctx.body;
+};
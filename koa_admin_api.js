@@ -0,0 +1,240 @@
+/**
+ * This Koa module is a JSON API for admins, so that orders, users and menus can
+ * be fixed without opening Mongo. It wraps the existing models:
+ *
+ *   GET    /orders                 Today's orders
+ *   GET    /orders/:slackId        One order
+ *   PATCH  /orders/:slackId        Change an order, e.g. { "order": "2 momos" }
+ *   DELETE /orders/:slackId        Remove an order
+ *   GET    /users                  All users
+ *   GET    /users/:slackId         One user
+ *   PATCH  /users/:slackId         Change a user, e.g. { "phone": "..." }
+ *   DELETE /users/:slackId         Remove a user
+ *   GET    /menus                  A summary of every menu
+ *   GET    /menus/:name            One menu, by name or alias
+ *   PATCH  /menus/:name            Change a menu, e.g. { "minimum": 20 }
+ *   DELETE /menus/:name            Remove a menu, so it's no longer scraped
+ *   POST   /menus/:name/scrape     Re-scrape a menu in the background
+ *   GET    /audit                  The most recent changes (?limit=50)
+ *
+ * Every change is recorded in the audit log (models/audit.js), along with the
+ * document before and after.
+ */
+
+const { spawn } = require("child_process");
+const router = new (require("koa-router"))();
+const Auth = require("./koa_auth");
+const Audit = require("./models/audit");
+const Orders = require("./models/orders");
+const Users = require("./models/users");
+const Menu = require("./models/menu");
+const RestaurantNames = require("./util/restaurant_names");
+const Transform = require("./util/transform");
+const logger = require("./logger")("admin");
+
+// The fields that can be changed for each type of document, and how to check them
+const isString = v => typeof v === "string";
+const isBoolean = v => typeof v === "boolean";
+const EDITABLE = {
+  order: {
+    restaurant: isString,
+    order: isString,
+    items: Array.isArray,
+    isDonor: isBoolean,
+    isVolunteer: isBoolean,
+    isCallee: isBoolean,
+  },
+  user: {
+    name: isString,
+    phone: isString,
+    username: isString,
+  },
+  menu: {
+    minimum: v => typeof v === "number" && v >= 0,
+    url: isString,
+    nicknames: v => Array.isArray(v) && v.every(isString),
+    items: Array.isArray,
+  },
+};
+
+/*********************************** Orders ***********************************/
+
+router.get("/orders", async (ctx) => {
+  ctx.body = await Orders.getOrders();
+});
+
+router.get("/orders/:slackId", async (ctx) => {
+  ctx.body = await findOrder(ctx);
+});
+
+router.patch("/orders/:slackId", async (ctx) => {
+  const before = await findOrder(ctx);
+  const fields = pickFields(ctx, EDITABLE.order);
+
+  if (fields.restaurant) {
+    fields.restaurant = await Menu.resolveRestaurant(fields.restaurant);
+    if (!fields.restaurant) ctx.throw(400, `Unknown restaurant ${ctx.request.body.restaurant}`);
+    if (fields.restaurant !== before.restaurant && !fields.order && !fields.items) {
+      ctx.throw(400, "Changing the restaurant requires a new order or items");
+    }
+  }
+
+  // Orders given as text are corrected like orders from Slack
+  if (fields.order) {
+    const fixedItems = await Transform.correctItems(Transform.parseOrders(fields.order), fields.restaurant || before.restaurant);
+    const failed = fixedItems.filter(i => !i.successful);
+    if (failed.length > 0) ctx.throw(400, `Couldn't order ${failed.map(i => i.item.name).join(", ")}`);
+    fields.items = fixedItems;
+    delete fields.order;
+  }
+
+  const after = await Orders.updateOrder(ctx.params.slackId, fields);
+  await recordChange(ctx, "update order", ctx.params.slackId, before, after);
+  ctx.body = after;
+});
+
+router.delete("/orders/:slackId", async (ctx) => {
+  const before = await findOrder(ctx);
+  await Orders.removeOrder(ctx.params.slackId);
+  await recordChange(ctx, "remove order", ctx.params.slackId, before);
+  ctx.status = 204;
+});
+
+/*********************************** Users ************************************/
+
+router.get("/users", async (ctx) => {
+  ctx.body = await Users.getAllUsers();
+});
+
+router.get("/users/:slackId", async (ctx) => {
+  ctx.body = await findUser(ctx);
+});
+
+router.patch("/users/:slackId", async (ctx) => {
+  const before = await findUser(ctx);
+  const after = await Users.updateUser(ctx.params.slackId, pickFields(ctx, EDITABLE.user));
+  await recordChange(ctx, "update user", ctx.params.slackId, before, after);
+  ctx.body = after;
+});
+
+router.delete("/users/:slackId", async (ctx) => {
+  const before = await findUser(ctx);
+  await Users.removeUser(ctx.params.slackId);
+  await recordChange(ctx, "remove user", ctx.params.slackId, before);
+  ctx.status = 204;
+});
+
+/*********************************** Menus ************************************/
+
+router.get("/menus", async (ctx) => {
+  ctx.body = (await Menu.getAllMenus()).map(({ name, url, minimum, updated, items, nicknames }) => ({
+    name,
+    url,
+    minimum,
+    updated,
+    items: (items || []).length,
+    nicknames: nicknames || [],
+  }));
+});
+
+router.get("/menus/:name", async (ctx) => {
+  ctx.body = await findMenu(ctx);
+});
+
+router.patch("/menus/:name", async (ctx) => {
+  const before = await findMenu(ctx);
+  const fields = pickFields(ctx, EDITABLE.menu);
+
+  // Nicknames must be unique, see Menu.addNickname
+  if (fields.nicknames) {
+    fields.nicknames = fields.nicknames.map(RestaurantNames.normalizeName);
+    const taken = (await Menu.getAllMenus()).find((m) => {
+      return m.name !== before.name && (m.nicknames || []).some(n => fields.nicknames.includes(n));
+    });
+    if (taken) ctx.throw(400, `${taken.name} already has some of these nicknames`);
+  }
+
+  const after = await Menu.editMenu(before.name, fields);
+  await recordChange(ctx, "update menu", before.name, before, after);
+  ctx.body = after;
+});
+
+router.delete("/menus/:name", async (ctx) => {
+  const before = await findMenu(ctx);
+  await Menu.removeMenu(before.name);
+  await recordChange(ctx, "remove menu", before.name, before);
+  ctx.status = 204;
+});
+
+router.post("/menus/:name/scrape", async (ctx) => {
+  const { name } = await findMenu(ctx);
+  const scraper = spawn(process.execPath, [`${__dirname}/util/scrape_grubhub.js`, name], {
+    cwd: __dirname,
+    detached: true,
+    stdio: "ignore",
+  });
+  scraper.unref();
+  logger.info(`Started scraping ${name} (pid ${scraper.pid})`);
+
+  await recordChange(ctx, "scrape menu", name);
+  ctx.status = 202;
+  ctx.body = { scraping: name };
+});
+
+/*********************************** Audit ************************************/
+
+router.get("/audit", async (ctx) => {
+  const limit = parseInt(ctx.query.limit);
+  ctx.body = await Audit.getChanges(limit > 0 ? limit : undefined);
+});
+
+const requireAuth = Auth.basicAuth(Auth.adminCredentials);
+const routes = router.routes();
+
+module.exports = async (ctx, next) => {
+  await requireAuth(ctx, async () => {
+    await routes(ctx, next);
+  });
+};
+
+/********************************** Helpers ***********************************/
+
+// Each of these finds the document named in the URL, or responds with a 404
+const findOrder = async (ctx) => {
+  const order = await Orders.getOrderForUser(ctx.params.slackId);
+  if (!order) ctx.throw(404, `No order today for ${ctx.params.slackId}`);
+  return order;
+};
+const findUser = async (ctx) => {
+  const user = await Users.getUser(ctx.params.slackId);
+  if (!user) ctx.throw(404, `No user ${ctx.params.slackId}`);
+  return user;
+};
+const findMenu = async (ctx) => {
+  const name = (await Menu.resolveRestaurant(ctx.params.name)) || ctx.params.name;
+  const menu = await Menu.getMenu(name);
+  if (!menu) ctx.throw(404, `No menu for ${ctx.params.name}`);
+  return menu;
+};
+
+/**
+ * Returns the fields of the request body, or responds with a 400 if any of
+ * them can't be changed or are invalid
+ */
+const pickFields = (ctx, validators) => {
+  const body = ctx.request.body || {};
+  const keys = Object.keys(body);
+  if (keys.length === 0) ctx.throw(400, `Nothing to change. Fields are: ${Object.keys(validators).join(", ")}`);
+
+  return keys.reduce((memo, key) => {
+    if (!validators[key]) ctx.throw(400, `${key} can't be changed. Fields are: ${Object.keys(validators).join(", ")}`);
+    if (!validators[key](body[key])) ctx.throw(400, `Invalid value for ${key}`);
+    memo[key] = body[key];
+    return memo;
+  }, {});
+};
+
+const recordChange = async (ctx, action, target, before, after) => {
+  logger.info(`${ctx.state.user} did ${action} for ${target}`);
+  await Audit.recordChange({ actor: ctx.state.user, ip: ctx.ip, action, target, before, after });
+};
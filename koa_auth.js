@@ -0,0 +1,71 @@
+/**
+ * This Koa module contains basic HTTP authentication shared by the routes that
+ * serve sensitive data, i.e. confirmation PDFs, stats exports and the admin API.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const auth = require("basic-auth");
+const logger = require("./logger")("auth");
+
+const priv = require("./private");
+
+/**
+ * Returns middleware that only continues if the request has the username and
+ * password returned by the given function. Access is always denied if no
+ * password is configured.
+ */
+module.exports.basicAuth = (getCredentials) => async (ctx, next) => {
+  const { username, password } = getCredentials();
+  const credentials = auth(ctx.request);
+
+  const allowed = !!password && !!credentials
+    && safeEqual(credentials.name, username)
+    && safeEqual(credentials.pass, password);
+  if (!allowed) {
+    if (credentials) logger.info(`Denied ${credentials.name} for ${ctx.originalUrl}`);
+    ctx.response.status = 401;
+    ctx.response.set("WWW-Authenticate", "Basic realm=\"alfred.ajay-gandhi.com\"");
+    ctx.body = "Access denied";
+  } else {
+    logger.info(`Authenticated for ${ctx.originalUrl}`);
+    ctx.state.user = credentials.name;
+    await next();
+  }
+};
+
+/**
+ * Credentials for confirmations. The password is regenerated every morning by
+ * util/daily_tasks.js, so it's re-read from disk once a day.
+ */
+let dailyPassword = priv.dailyPassword;
+let lastUpdate = -1;
+module.exports.dailyCredentials = () => {
+  if (lastUpdate !== (new Date()).getDate()) {
+    // Last update happened sometime other than today
+    lastUpdate = (new Date()).getDate();
+    const newCreds = JSON.parse(fs.readFileSync(`${__dirname}/private.json`, "utf8"));
+    dailyPassword = newCreds.dailyPassword;
+  }
+  return { username: priv.confUsername, password: dailyPassword };
+};
+
+/**
+ * Credentials for stats exports. These don't change, since they're used by
+ * people and scripts outside of Slack.
+ */
+module.exports.exportCredentials = () => ({ username: priv.exportUsername, password: priv.exportPassword });
+
+/**
+ * Credentials for the admin API
+ */
+module.exports.adminCredentials = () => ({ username: priv.adminUsername, password: priv.adminPassword });
+
+/********************************** Helpers ***********************************/
+
+// Compares the given strings in constant time. Hashing first makes the buffers
+// the same length, as required by timingSafeEqual
+const safeEqual = (a, b) => {
+  const hash = s => crypto.createHash("sha256").update(String(s)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+};
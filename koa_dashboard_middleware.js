@@ -0,0 +1,165 @@
+/**
+ * This Koa module serves a web page with today's orders, grouped by restaurant,
+ * so they can be checked from a phone at the pickup desk. It's protected with
+ * the same daily credentials as confirmation PDFs, and refreshes itself.
+ */
+
+const Auth = require("./koa_auth");
+const Orders = require("./models/orders");
+const Users = require("./models/users");
+const Menu = require("./models/menu");
+const Runs = require("./models/runs");
+const Calendar = require("./models/calendar");
+const Transform = require("./util/transform");
+
+const REFRESH_SECONDS = 60;
+
+const requireAuth = Auth.basicAuth(Auth.dailyCredentials);
+
+module.exports = async (ctx, next) => {
+  await requireAuth(ctx, async () => {
+    if (ctx.path !== "/") return await next();
+
+    ctx.response.type = "text/html";
+    ctx.response.set("Cache-Control", "no-store");
+    ctx.body = render(await getDashboard());
+    await next();
+  });
+};
+
+/**
+ * Returns today's orders grouped by restaurant, with the totals, callee and
+ * latest dry run result for each restaurant
+ */
+const getDashboard = async () => {
+  const { budget, cutoff, deliveryTime, closed, reason } = await Calendar.getSchedule();
+  const run = await Runs.getLatestRun(Transform.dateKey(), true);
+
+  const restaurants = {};
+  for (const order of await Orders.getOrders()) {
+    if (!restaurants[order.restaurant]) {
+      const menu = await Menu.getMenu(order.restaurant);
+      restaurants[order.restaurant] = {
+        restaurant: order.restaurant,
+        minimum: (menu && menu.minimum) || 0,
+        total: 0,
+        participants: [],
+        dryRun: run && run.results.find(r => r.restaurant === order.restaurant),
+      };
+    }
+
+    const user = await Users.getUser(order.slackId);
+    const subtotal = order.items.reduce((m, i) => m + i.subtotal, 0);
+    restaurants[order.restaurant].total += subtotal;
+    restaurants[order.restaurant].participants.push({
+      name: (user && user.name) || order.username,
+      items: Transform.itemsToText(order.items),
+      subtotal,
+      isDonor: order.isDonor,
+      isCallee: order.isCallee,
+      isVolunteer: order.isVolunteer,
+    });
+  }
+
+  return {
+    cutoff,
+    deliveryTime,
+    closed,
+    reason,
+    run,
+    restaurants: Object.values(restaurants).map(r => Object.assign(r, { budget: r.participants.length * budget })),
+  };
+};
+
+/********************************* Rendering **********************************/
+
+const STYLE = `
+  body { font-family: -apple-system, Helvetica, Arial, sans-serif; margin: 0; padding: 12px; background: #f4f4f4; color: #222; }
+  h1 { font-size: 1.4em; margin: 0 0 4px; }
+  .meta { color: #666; margin-bottom: 12px; }
+  .restaurant { background: #fff; border-radius: 6px; padding: 12px; margin-bottom: 12px; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.1); }
+  .restaurant h2 { font-size: 1.2em; margin: 0 0 8px; }
+  .totals div, .callee, .run { margin-bottom: 4px; }
+  .bad { color: #c0392b; font-weight: bold; }
+  .good { color: #27ae60; }
+  ul { list-style: none; padding: 0; margin: 8px 0 0; }
+  li { border-top: 1px solid #eee; padding: 6px 0; }
+  .name { font-weight: bold; }
+  .price { float: right; }
+  .items { color: #555; }
+  .tag { font-size: 0.8em; background: #eee; border-radius: 3px; padding: 1px 4px; margin-left: 4px; }
+`;
+
+const render = ({ cutoff, deliveryTime, closed, reason, run, restaurants }) => {
+  const sections = restaurants.length === 0 ? "<p>There are no orders today!</p>" : restaurants.map(renderRestaurant).join("");
+  const closedText = closed ? `<p class="bad">Alfred is closed today${reason ? ` for ${escape(reason)}` : ""}, so no orders will be placed.</p>` : "";
+  const runText = run ? ` · Last dry run at ${escape(formatTimestamp(run.timestamp))}` : "";
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta http-equiv="refresh" content="${REFRESH_SECONDS}">
+  <title>Alfred · Today's orders</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+  <h1>Today's orders</h1>
+  <div class="meta">Cutoff ${escape(Transform.formatTime(cutoff))} · Delivery ${escape(Transform.formatTime(deliveryTime))}${runText} · Updated ${escape(formatTimestamp(new Date()))}</div>
+  ${closedText}
+  ${sections}
+</body>
+</html>`;
+};
+
+const renderRestaurant = ({ restaurant, minimum, total, budget, participants, dryRun }) => {
+  const underMinimum = total < minimum;
+  const overBudget = total > budget;
+  const callee = participants.find(p => p.isCallee) || participants.find(p => p.isVolunteer);
+  const calleeText = callee
+    ? `${escape(callee.name)} ${callee.isCallee ? "is getting the call" : "volunteered to take the call"}`
+    : "Chosen when the order is placed";
+
+  return `
+  <div class="restaurant">
+    <h2>${escape(restaurant)}</h2>
+    <div class="totals">
+      <div class="${underMinimum ? "bad" : "good"}">Subtotal $${total.toFixed(2)}, minimum $${minimum.toFixed(2)}${underMinimum ? ` ($${(minimum - total).toFixed(2)} short)` : ""}</div>
+      <div class="${overBudget ? "bad" : "good"}">Budget $${budget.toFixed(2)} for ${participants.length} ${participants.length === 1 ? "person" : "people"}${overBudget ? ` ($${(total - budget).toFixed(2)} over)` : ""}</div>
+    </div>
+    <div class="callee">Call: ${calleeText}</div>
+    <div class="run">${renderDryRun(dryRun)}</div>
+    <ul>${participants.map(renderParticipant).join("")}</ul>
+  </div>`;
+};
+
+const renderParticipant = ({ name, items, subtotal, isDonor, isCallee, isVolunteer }) => {
+  const tags = [isDonor && "donor", isCallee && "callee", !isCallee && isVolunteer && "volunteer"].filter(t => t);
+  return `
+      <li>
+        <span class="name">${escape(name)}</span>${tags.map(t => `<span class="tag">${t}</span>`).join("")}
+        <span class="price">$${subtotal.toFixed(2)}</span>
+        <div class="items">${isDonor ? "Donating their budget" : escape(items)}</div>
+      </li>`;
+};
+
+const renderDryRun = (result) => {
+  if (!result) return "Dry run: not run yet";
+  if (result.successful) return "<span class=\"good\">Dry run: succeeded</span>";
+  return `<span class="bad">Dry run: failed</span><br>${(result.errors || []).map(e => escape(e)).join("<br>")}`;
+};
+
+/********************************** Helpers ***********************************/
+
+const formatTimestamp = (date) => {
+  const time = new Date(date);
+  return Transform.formatTime(time.getHours() * 100 + time.getMinutes());
+};
+
+const escape = s => String(s)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
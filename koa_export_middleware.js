@@ -0,0 +1,96 @@
+/**
+ * This Koa module exports stats for spending reports, e.g. to reconcile monthly
+ * allocations. Two reports are available, each as CSV or JSON:
+ *
+ *   /users.csv        Calls, dollars spent and items ordered per user
+ *   /restaurants.csv  Dollars spent, calls, items ordered and users per restaurant
+ *
+ * Reports can be limited to a date range with `start` and `end` (like
+ * 2019-10-15, both inclusive) or `range` (like "last month").
+ */
+
+const Auth = require("./koa_auth");
+const Stats = require("./models/stats");
+const Transform = require("./util/transform");
+
+const REPORTS = {
+  users: {
+    columns: ["slackId", "name", "dollars", "calls", "items", "restaurants"],
+    get: Stats.getUserTotals,
+  },
+  restaurants: {
+    columns: ["restaurant", "dollars", "calls", "items", "eaters"],
+    get: Stats.getRestaurantRanking,
+  },
+};
+const PATH_REGEX = /^\/(\w+)\.(csv|json)$/;
+
+const requireAuth = Auth.basicAuth(Auth.exportCredentials);
+
+module.exports = async (ctx, next) => {
+  await requireAuth(ctx, async () => {
+    const matches = ctx.path.match(PATH_REGEX);
+    const report = matches && REPORTS[matches[1]];
+    if (!report) {
+      ctx.response.status = 404;
+      ctx.body = `Unknown report. Try ${Object.keys(REPORTS).map(r => `/${r}.csv`).join(" or ")}.`;
+      return;
+    }
+
+    const range = parseRange(ctx.query);
+    if (range === false) {
+      ctx.response.status = 400;
+      ctx.body = "Invalid date range. Use start and end like 2019-10-15, or range like \"last month\".";
+      return;
+    }
+
+    const rows = (await report.get(range)).map((row) => {
+      return report.columns.reduce((memo, column) => {
+        // Round dollars to cents, since they're sums of floats
+        memo[column] = column === "dollars" ? Math.round(row[column] * 100) / 100 : row[column];
+        return memo;
+      }, {});
+    });
+
+    const filename = `${matches[1]}${range ? `-${range.start || ""}-${range.end || ""}` : ""}.${matches[2]}`;
+    ctx.response.set("Content-Disposition", `attachment; filename="${filename}"`);
+    if (matches[2] === "csv") {
+      ctx.response.type = "text/csv";
+      ctx.body = toCsv(report.columns, rows);
+    } else {
+      ctx.response.type = "application/json";
+      ctx.body = JSON.stringify({ range: range || null, rows }, null, 2);
+    }
+    await next();
+  });
+};
+
+/********************************** Helpers ***********************************/
+
+/**
+ * Returns the date range from the given query, undefined if there is none, or
+ * false if it's invalid
+ */
+const parseRange = ({ start, end, range }) => {
+  if (range) return Transform.parseDateRange(range) || false;
+  if (!start && !end) return;
+
+  const parsed = {
+    start: start && Transform.parseDate(start),
+    end: end && Transform.parseDate(end),
+  };
+  if ((start && !parsed.start) || (end && !parsed.end)) return false;
+  return parsed;
+};
+
+// Formats the given rows as CSV, quoting values that need it. Text that starts
+// like a formula is prefixed with ' so spreadsheets don't evaluate it
+const toCsv = (columns, rows) => {
+  const escape = (value) => {
+    let s = value === undefined || value === null ? "" : String(value);
+    if (typeof value === "string" && /^[=+\-@]/.test(s)) s = `'${s}`;
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+  };
+  const lines = [columns.join(",")].concat(rows.map(row => columns.map(c => escape(row[c])).join(",")));
+  return `${lines.join("\n")}\n`;
+};
@@ -0,0 +1,33 @@
+/**
+ * Module for the audit log of changes made through the admin API
+ */
+
+const Storage = require("../storage");
+
+const audit = Storage.collection("audit");
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Records a change, given who made it (actor, ip), what they did (action, e.g.
+ * "update order"), what they did it to (target, e.g. a Slack ID), and the
+ * document before and after the change
+ */
+module.exports.recordChange = async ({ actor, ip, action, target, before, after }) => {
+  await audit.insertOne({
+    timestamp: new Date(),
+    actor,
+    ip,
+    action,
+    target,
+    before: before || null,
+    after: after || null,
+  });
+};
+
+/**
+ * Returns the most recent changes, newest first
+ */
+module.exports.getChanges = async (limit = DEFAULT_LIMIT) => {
+  return await audit.find({}).sort({ timestamp: -1 }).limit(limit).toArray();
+};
@@ -0,0 +1,104 @@
+/**
+ * Module for the calendar of days that differ from the usual schedule
+ *
+ * A day (like "2019-12-24") can be closed, e.g. for a holiday, in which case
+ * Alfred doesn't open or take orders. A day can also have its own values for
+ * the schedule settings, like an early cutoff before a long weekend.
+ */
+
+const Storage = require("../storage");
+const Settings = require("./settings");
+const Transform = require("../util/transform");
+
+const calendar = Storage.collection("calendar");
+
+// Settings that can be changed for a single day
+const DAY_SETTINGS = ["cutoff", "deliveryTime", "openTime", "dryRunTime", "pollDeadline"];
+module.exports.DAY_SETTINGS = DAY_SETTINGS;
+
+// How long before an early cutoff the dry run happens, if it would otherwise
+// be after the cutoff
+const DRY_RUN_MINUTES = 30;
+
+module.exports.getDay = async (date = Transform.dateKey()) => await calendar.findOne({ date });
+
+/**
+ * Returns the days from the given date (today by default) on, in order
+ */
+module.exports.getUpcomingDays = async (from = Transform.dateKey()) => {
+  return await calendar.find({ date: { $gte: from } }).sort({ date: 1 }).toArray();
+};
+
+/**
+ * Returns the settings for the given day (today by default), with any changes
+ * for that day, plus whether the day is closed and why
+ */
+module.exports.getSchedule = async (date = Transform.dateKey()) => {
+  const settings = await Settings.getSettings();
+  if (settings.holidays) await migrateHolidays(settings);
+  const day = await module.exports.getDay(date);
+  if (!day) return Object.assign(settings, { closed: false });
+
+  const changes = day.settings || {};
+  const schedule = Object.assign(settings, changes, { closed: !!day.closed, reason: day.reason });
+  if (changes.cutoff && !changes.dryRunTime && schedule.dryRunTime >= schedule.cutoff) {
+    const minutes = Math.floor(schedule.cutoff / 100) * 60 + schedule.cutoff % 100 - DRY_RUN_MINUTES;
+    schedule.dryRunTime = Math.floor(minutes / 60) * 100 + minutes % 60;
+  }
+  return schedule;
+};
+
+/**
+ * Closes the given day, with an optional reason like "Thanksgiving"
+ */
+module.exports.closeDay = async (date, reason, slackId) => {
+  await calendar.findOneAndUpdate({ date }, {
+    $set: {
+      closed: true,
+      reason: reason || null,
+      updatedBy: slackId,
+      updated: new Date(),
+    },
+  }, {
+    upsert: true,
+  });
+};
+
+/**
+ * Changes one of the DAY_SETTINGS for the given day only
+ */
+module.exports.changeDay = async (date, key, value, slackId) => {
+  await calendar.findOneAndUpdate({ date }, {
+    $set: {
+      [`settings.${key}`]: value,
+      updatedBy: slackId,
+      updated: new Date(),
+    },
+  }, {
+    upsert: true,
+  });
+};
+
+/**
+ * Returns the given day to the usual schedule. Returns the removed day, or
+ * null if the day wasn't in the calendar
+ */
+module.exports.clearDay = async (date) => {
+  return (await calendar.findOneAndDelete({ date })).value;
+};
+
+/********************************** Helpers ***********************************/
+
+/**
+ * Holidays used to be a setting. Any that were saved are moved into the
+ * calendar as closed days (keeping days that are already in the calendar), and
+ * the setting is removed.
+ */
+const migrateHolidays = async (settings) => {
+  for (const date of settings.holidays) {
+    const day = await module.exports.getDay(date);
+    if (!day || !day.closed) await module.exports.closeDay(date, "holiday");
+  }
+  await Settings.removeSetting("holidays");
+  delete settings.holidays;
+};
@@ -0,0 +1,42 @@
+/**
+ * Module for the persistent archive of placed orders
+ *
+ * Unlike orders, which are cleared every night, an entry is kept for every
+ * user's part of every order Alfred places.
+ */
+
+const Storage = require("../storage");
+
+const history = Storage.collection("history");
+
+const MAX_ENTRIES = 5;
+
+/**
+ * Saves the user's part of an order, replacing any entry for the same day and
+ * restaurant so that running the order again doesn't archive it twice
+ */
+module.exports.recordOrder = async ({ date, slackId, username, restaurant, items, amount, successful }) => {
+  await history.findOneAndUpdate({ date, slackId, restaurant }, {
+    $set: {
+      timestamp: Date.now(),
+      username,
+      items,
+      amount,
+      successful,
+    },
+  }, {
+    upsert: true,
+  });
+};
+
+/**
+ * Returns the user's most recent entries, newest first, optionally only from
+ * the given date (e.g. "2019-10-15") or restaurant
+ */
+module.exports.getHistoryForUser = async (slackId, date, restaurant) => {
+  const query = { slackId };
+  if (date) query.date = date;
+  if (restaurant) query.restaurant = restaurant;
+
+  return await history.find(query).sort({ date: -1, timestamp: -1 }).limit(MAX_ENTRIES).toArray();
+};
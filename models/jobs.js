@@ -0,0 +1,53 @@
+/**
+ * Module for the last run of each scheduled job (see scheduler.js)
+ */
+
+const Storage = require("../storage");
+
+const jobs = Storage.collection("jobs");
+
+module.exports.getJobs = async () => await jobs.find({}).toArray();
+
+/**
+ * Records that the job with the given name was started, either by the
+ * schedule or by hand (trigger is "schedule" or a Slack ID)
+ */
+module.exports.startJob = async (name, trigger) => {
+  await jobs.findOneAndUpdate({ name }, {
+    $set: {
+      lastRun: new Date(),
+      trigger,
+      outcome: "running",
+      finished: null,
+    },
+  }, {
+    upsert: true,
+  });
+};
+
+/**
+ * Records the outcome of the last run of the given job, like "succeeded" or
+ * "failed (exit code 1)"
+ */
+module.exports.finishJob = async (name, outcome) => {
+  await jobs.findOneAndUpdate({ name }, {
+    $set: {
+      outcome,
+      finished: new Date(),
+    },
+  });
+};
+
+/**
+ * Records the day (like "2019-10-15") the given job last ran on schedule, so
+ * that it doesn't run again that day if the server restarts
+ */
+module.exports.setScheduled = async (name, date) => {
+  await jobs.findOneAndUpdate({ name }, {
+    $set: {
+      lastScheduled: date,
+    },
+  }, {
+    upsert: true,
+  });
+};
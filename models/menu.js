@@ -1,22 +1,28 @@
 /**
- * Module for interacting with persistent users data
+ * Module for interacting with persistent menu data, including the aliases
+ * that restaurants can be referred to by
  */
 
-const MongoClient = require("mongodb").MongoClient;
-const logger = require("../logger")("model");
-const priv = require("../private");
+const Storage = require("../storage");
+const { GENERIC_WORDS, normalizeName, restaurantVariants } = require("../util/restaurant_names");
 
-let menu;
-const client = new MongoClient(priv.mongoSrv, { useNewUrlParser: true });
-client.connect((err) => {
-  if (err) logger.error(err);
-  menu = client.db(priv.mongoDbName).collection("menu");
-});
+const menu = Storage.collection("menu");
 
 module.exports.getAllMenus = async () => await menu.find({}).toArray();
 module.exports.getMenu = async name => await menu.findOne({ name });
+module.exports.editMenu = async (name, fields) => {
+  return (await menu.findOneAndUpdate({ name }, {
+    $set: fields,
+  }, {
+    returnOriginal: false,
+  })).value;
+};
+module.exports.removeMenu = async name => (await menu.findOneAndDelete({ name })).value;
+/**
+ * Saves the scraped menu and returns the menu it replaced, if any
+ */
 module.exports.updateMenu = async ({ name, minimum, url, items }) => {
-  await menu.findOneAndUpdate({ name }, {
+  return (await menu.findOneAndUpdate({ name }, {
     $set: {
       updated: Date.now(),
       name,
@@ -26,6 +32,61 @@ module.exports.updateMenu = async ({ name, minimum, url, items }) => {
     },
   }, {
     upsert: true,
+  })).value;
+};
+
+/**
+ * Returns an object mapping each alias of a restaurant (normalized with
+ * normalizeName) to the name of the restaurant. Aliases are the variants of
+ * each name generated by restaurantVariants, minus any shared by more
+ * than one restaurant, plus the nicknames added by admins.
+ */
+const getAliases = async () => {
+  const menus = await menu.find({}).toArray();
+  const aliases = menus.reduce((memo, { name }) => {
+    restaurantVariants(name).forEach((variant) => {
+      const key = normalizeName(variant);
+      if (key.length < 3 || GENERIC_WORDS.includes(key)) return;
+      memo[key] = key in memo && memo[key] !== name ? null : name;
+    });
+    return memo;
+  }, {});
+
+  Object.keys(aliases).forEach((key) => {
+    if (!aliases[key]) delete aliases[key];
+  });
+
+  // Nicknames always win over generated variants
+  menus.forEach(({ name, nicknames }) => {
+    (nicknames || []).forEach(nickname => aliases[nickname] = name);
   });
+  return aliases;
 };
+module.exports.getAliases = getAliases;
 
+/**
+ * Returns the name of the restaurant with the given name or alias, or
+ * undefined if there isn't one
+ */
+module.exports.resolveRestaurant = async name => (await getAliases())[normalizeName(name)];
+
+/**
+ * Adds a nickname for the given restaurant. Returns the restaurant that had
+ * the nickname before, if any.
+ */
+module.exports.addNickname = async (restaurant, nickname) => {
+  const key = normalizeName(nickname);
+  const previous = await menu.findOneAndUpdate({ nicknames: key }, { $pull: { nicknames: key } });
+  await menu.findOneAndUpdate({ name: restaurant }, { $addToSet: { nicknames: key } });
+  return previous.value && previous.value.name !== restaurant ? previous.value.name : undefined;
+};
+
+/**
+ * Removes the given nickname. Returns the restaurant it belonged to, or
+ * undefined if no restaurant has that nickname.
+ */
+module.exports.removeNickname = async (nickname) => {
+  const key = normalizeName(nickname);
+  const found = await menu.findOneAndUpdate({ nicknames: key }, { $pull: { nicknames: key } });
+  return found.value ? found.value.name : undefined;
+};
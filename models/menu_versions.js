@@ -0,0 +1,30 @@
+/**
+ * Module for the version history of scraped menus
+ *
+ * A version is saved the first time a restaurant is scraped and whenever a
+ * scrape finds changes, along with the changes from the previous version (see
+ * util/menu_diff.js).
+ */
+
+const Storage = require("../storage");
+
+const versions = Storage.collection("menu_versions");
+
+module.exports.recordVersion = async ({ name, minimum, url, items }, diff) => {
+  await versions.insertOne({
+    restaurant: name,
+    timestamp: Date.now(),
+    minimum,
+    url,
+    items,
+    diff,
+  });
+};
+
+/**
+ * Returns the versions of the restaurant's menu, newest first, optionally only
+ * the given number of them
+ */
+module.exports.getVersions = async (restaurant, limit = 0) => {
+  return await versions.find({ restaurant }).sort({ timestamp: -1 }).limit(limit).toArray();
+};
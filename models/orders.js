@@ -2,20 +2,17 @@
  * Module for persistent orders data
  */
 
-const MongoClient = require("mongodb").MongoClient;
-const logger = require("../logger")("model");
-const priv = require("../private");
+const Storage = require("../storage");
 
-let orders;
-const client = new MongoClient(priv.mongoSrv, { useNewUrlParser: true });
-client.connect((err) => {
-  if (err) logger.error(err);
-  orders = client.db(priv.mongoDbName).collection("orders");
-});
+const orders = Storage.collection("orders");
 
 module.exports.getOrders = async () => await orders.find({}).toArray();
 module.exports.getOrderForUser = async slackId => await orders.findOne({ slackId });
 module.exports.addOrder = async (restaurant, slackId, username, items, isDonor) => {
+  // Volunteering only carries over if the restaurant stays the same
+  const existing = await orders.findOne({ slackId });
+  const isVolunteer = !isDonor && !!existing && existing.restaurant === restaurant && !!existing.isVolunteer;
+
   await orders.findOneAndUpdate({ slackId }, {
     $set: {
       slackId,
@@ -23,12 +20,49 @@ module.exports.addOrder = async (restaurant, slackId, username, items, isDonor)
       restaurant,
       items,
       isCallee: false,
+      isVolunteer,
       isDonor: isDonor ? true : false,
     },
   }, {
     upsert: true,
   });
 };
+module.exports.appendItems = async (slackId, items) => {
+  return (await orders.findOneAndUpdate({ slackId }, {
+    $push: {
+      items: { $each: items },
+    },
+  }, {
+    returnOriginal: false,
+  })).value;
+};
+module.exports.replaceItem = async (slackId, index, item) => {
+  return (await orders.findOneAndUpdate({ slackId }, {
+    $set: {
+      [`items.${index}`]: item,
+    },
+  }, {
+    returnOriginal: false,
+  })).value;
+};
+module.exports.removeItem = async (slackId, index) => {
+  // Mongo can't remove by index, so unset the item and then pull the hole
+  await orders.findOneAndUpdate({ slackId }, { $unset: { [`items.${index}`]: 1 } });
+  return (await orders.findOneAndUpdate({ slackId }, {
+    $pull: {
+      items: null,
+    },
+  }, {
+    returnOriginal: false,
+  })).value;
+};
+module.exports.updateOrder = async (slackId, fields) => {
+  return (await orders.findOneAndUpdate({ slackId }, {
+    $set: fields,
+  }, {
+    returnOriginal: false,
+  })).value;
+};
 module.exports.removeOrder = async slackId => (await orders.findOneAndDelete({ slackId })).value;
 module.exports.clearOrders = async () => await orders.deleteMany({});
 module.exports.setCallee = async (slackId) => {
@@ -40,3 +74,10 @@ module.exports.setCallee = async (slackId) => {
     upsert: true,
   });
 };
+module.exports.setVolunteer = async (slackId, isVolunteer) => {
+  await orders.findOneAndUpdate({ slackId }, {
+    $set: {
+      isVolunteer,
+    },
+  });
+};
@@ -0,0 +1,53 @@
+/**
+ * Module for the daily restaurant polls
+ *
+ * There is at most one poll per day, keyed by date (e.g. "2019-10-15"). Votes
+ * map each user's Slack ID to the restaurant they voted for.
+ */
+
+const Storage = require("../storage");
+
+const polls = Storage.collection("polls");
+
+module.exports.getPoll = async date => await polls.findOne({ _id: date });
+module.exports.createPoll = async (date, candidates) => {
+  await polls.findOneAndUpdate({ _id: date }, {
+    $set: {
+      candidates,
+      votes: {},
+      closed: false,
+      winners: [],
+    },
+  }, {
+    upsert: true,
+  });
+};
+
+/**
+ * Records the user's vote, replacing any earlier vote. Returns the updated poll,
+ * or undefined if the poll is closed.
+ */
+module.exports.vote = async (date, slackId, restaurant) => {
+  return (await polls.findOneAndUpdate({ _id: date, closed: false }, {
+    $set: {
+      [`votes.${slackId}`]: restaurant,
+    },
+  }, {
+    returnOriginal: false,
+  })).value;
+};
+
+/**
+ * Closes the poll with the given winners. Returns the closed poll, or undefined
+ * if it was already closed, so that only one caller announces the results.
+ */
+module.exports.closePoll = async (date, winners) => {
+  return (await polls.findOneAndUpdate({ _id: date, closed: false }, {
+    $set: {
+      closed: true,
+      winners,
+    },
+  }, {
+    returnOriginal: false,
+  })).value;
+};
@@ -0,0 +1,158 @@
+/**
+ * Module for the results of each ordering run, both dry and actual
+ *
+ * Actual runs also keep the status of each restaurant's order for the day
+ * (pending, in-progress, submitted or failed), so that running again skips
+ * orders that were already placed and only retries the rest.
+ */
+
+const Storage = require("../storage");
+const Transform = require("../util/transform");
+
+const runs = Storage.collection("runs");
+const restaurantOrders = Storage.collection("run_orders");
+
+/**
+ * Records the results of a run, in the format given to
+ * Slack.sendFinishedMessage
+ */
+module.exports.recordRun = async (results, dry) => {
+  await runs.insertOne({
+    date: Transform.dateKey(),
+    dry,
+    timestamp: new Date(),
+    results,
+  });
+};
+
+/**
+ * Returns the most recent run on the given day (today by default), optionally
+ * only dry or actual runs
+ */
+module.exports.getLatestRun = async (date = Transform.dateKey(), dry) => {
+  const query = dry === undefined ? { date } : { date, dry };
+  const [latest] = await runs.find(query).sort({ timestamp: -1 }).limit(1).toArray();
+  return latest;
+};
+
+/**
+ * Adds a pending order for each of the given restaurants that doesn't have one
+ * on the given day yet. Each order set is { restaurant, users }, where users
+ * are the participants.
+ */
+module.exports.addPendingOrders = async (date, orderSets) => {
+  for (const { restaurant, users } of orderSets) {
+    if (await restaurantOrders.findOne({ date, restaurant })) continue;
+
+    await restaurantOrders.insertOne({
+      date,
+      restaurant,
+      status: "pending",
+      users,
+      attempts: 0,
+      submitting: false,
+      updated: new Date(),
+    });
+  }
+};
+
+/**
+ * Marks the given restaurant's order as in progress, if it may be attempted:
+ * it's pending or failed, or a previous run stopped before finishing it. An
+ * order that's in progress could still be going in another run, so it's only
+ * attempted again once it hasn't been touched (see touchOrder) for
+ * STALE_MINUTES, or if retryUnknown is set. Orders that failed (or stopped)
+ * while being submitted may have been placed, so they're also only attempted
+ * again if retryUnknown is set. Returns the order before it was claimed, or
+ * null if it can't be attempted.
+ */
+const STALE_MINUTES = 10;
+module.exports.claimOrder = async (date, restaurant, users, retryUnknown) => {
+  const inProgress = { status: "in-progress" };
+  if (!retryUnknown) inProgress.updated = { $lt: new Date(Date.now() - STALE_MINUTES * 60 * 1000) };
+
+  const query = { date, restaurant, $or: [{ status: { $in: ["pending", "failed"] } }, inProgress] };
+  if (!retryUnknown) query.submitting = { $ne: true };
+
+  return (await restaurantOrders.findOneAndUpdate(query, {
+    $set: {
+      status: "in-progress",
+      users,
+      submitting: false,
+      updated: new Date(),
+    },
+    $inc: {
+      attempts: 1,
+    },
+  })).value;
+};
+
+/**
+ * Records that the run working on the given restaurant's order is still going
+ */
+module.exports.touchOrder = async (date, restaurant) => {
+  await restaurantOrders.findOneAndUpdate({ date, restaurant }, {
+    $set: {
+      updated: new Date(),
+    },
+  });
+};
+
+/**
+ * Records that the given restaurant's order is about to be submitted, after
+ * which it can't safely be retried
+ */
+module.exports.setSubmitting = async (date, restaurant) => {
+  await restaurantOrders.findOneAndUpdate({ date, restaurant }, {
+    $set: {
+      submitting: true,
+      updated: new Date(),
+    },
+  });
+};
+
+/**
+ * Records the result of the given restaurant's order, in the format given to
+ * Slack.sendFinishedMessage. A failed order is left as submitting, if it was,
+ * since it may have failed after it was placed.
+ */
+module.exports.finishOrder = async (date, restaurant, result) => {
+  const update = {
+    status: result.successful ? "submitted" : "failed",
+    result,
+    updated: new Date(),
+  };
+  if (result.successful) update.submitting = false;
+  await restaurantOrders.findOneAndUpdate({ date, restaurant }, { $set: update });
+};
+
+module.exports.getOrders = async (date = Transform.dateKey()) => {
+  return await restaurantOrders.find({ date }).toArray();
+};
+
+/**
+ * Returns the results of every order on the given day, in the format given to
+ * Slack.sendFinishedMessage. Orders that failed are only included if they're
+ * from one of the given restaurants, since everyone may have moved to another
+ * restaurant since.
+ */
+const UNKNOWN_ERROR = "A run stopped while submitting this order, so it may have been placed. Check Grubhub, then run again with --retry-unknown to try it again.";
+module.exports.getDayResults = async (date, restaurants) => {
+  const found = await module.exports.getOrders(date);
+  return found
+    .filter(o => o.status === "submitted" || restaurants.includes(o.restaurant))
+    .map((order) => {
+      if (order.status === "submitted") return order.result;
+
+      let errors = ["This order wasn't attempted."];
+      if (order.status === "failed") errors = order.result.errors;
+      if (order.status === "in-progress") errors = ["This order was started, but hasn't finished."];
+      return {
+        successful: false,
+        restaurant: order.restaurant,
+        users: order.users,
+        errors: order.submitting ? errors.concat(UNKNOWN_ERROR) : errors,
+        diagnostics: order.result && order.result.diagnostics,
+      };
+    });
+};
@@ -0,0 +1,147 @@
+/**
+ * Module for persistent workspace settings
+ *
+ * All settings live in a single document. Any setting that hasn't been changed
+ * falls back to the defaults below.
+ */
+
+const Storage = require("../storage");
+const Transform = require("../util/transform");
+const priv = require("../private");
+
+const settings = Storage.collection("settings");
+
+const SETTINGS_ID = "workspace";
+const DEFAULTS = {
+  // Times are stored as numbers like 1530 for 3:30pm
+  cutoff: 1530,
+  deliveryTime: 1730,
+  budget: 25,
+  admins: [priv.mySlackId],
+  // The morning restaurant poll is off unless turned on
+  poll: false,
+  pollDeadline: 1130,
+  pollWinners: 2,
+  // Whether orders from restaurants that lost the poll are discouraged or blocked
+  pollMode: "discourage",
+  // When scheduled jobs run (see scheduler.js). The actual order is placed at
+  // the cutoff, and the poll is closed at the poll deadline.
+  openTime: 1000,
+  dryRunTime: 1500,
+  dailyTasksTime: 200,
+  // Menus are scraped once a week, on this day (0 is Sunday)
+  scrapeDay: 1,
+  scrapeTime: 700,
+};
+
+/**
+ * Each parser takes the text entered by the user and returns the value to
+ * store, or undefined if the text is invalid
+ */
+const SLACK_ID_REGEX = /<?@?([UW][A-Z0-9]+)(?:\|[^>]*)?>?/g;
+const PARSERS = {
+  cutoff: Transform.parseTime,
+  deliveryTime: Transform.parseTime,
+  budget: (text) => {
+    const budget = parseFloat(String(text).replace("$", ""));
+    return budget > 0 ? budget : undefined;
+  },
+  admins: (text) => {
+    const slackIds = [];
+    String(text).replace(SLACK_ID_REGEX, (m, slackId) => slackIds.push(slackId));
+    return slackIds.length > 0 ? slackIds : undefined;
+  },
+  poll: (text) => {
+    const cleaned = String(text).toLowerCase().trim();
+    if (["on", "yes", "true", "enabled"].includes(cleaned)) return true;
+    if (["off", "no", "false", "disabled"].includes(cleaned)) return false;
+  },
+  pollDeadline: Transform.parseTime,
+  pollWinners: (text) => {
+    const winners = parseInt(text);
+    return winners > 0 ? winners : undefined;
+  },
+  pollMode: (text) => {
+    const cleaned = String(text).toLowerCase().trim();
+    return ["discourage", "block"].includes(cleaned) ? cleaned : undefined;
+  },
+  openTime: Transform.parseTime,
+  dryRunTime: Transform.parseTime,
+  dailyTasksTime: Transform.parseTime,
+  scrapeDay: Transform.parseWeekday,
+  scrapeTime: Transform.parseTime,
+};
+
+// Setting names as users might type them
+const NAMES = {
+  "cutoff": "cutoff",
+  "cutoff time": "cutoff",
+  "delivery time": "deliveryTime",
+  "deliverytime": "deliveryTime",
+  "delivery": "deliveryTime",
+  "budget": "budget",
+  "admins": "admins",
+  "admin": "admins",
+  "poll": "poll",
+  "poll deadline": "pollDeadline",
+  "poll winners": "pollWinners",
+  "poll mode": "pollMode",
+  "open time": "openTime",
+  "opening time": "openTime",
+  "dry run time": "dryRunTime",
+  "daily tasks time": "dailyTasksTime",
+  "scrape day": "scrapeDay",
+  "scrape time": "scrapeTime",
+};
+
+module.exports.getSettings = async () => {
+  const saved = await settings.findOne({ _id: SETTINGS_ID });
+  const current = Object.assign({}, DEFAULTS, saved);
+  delete current._id;
+  return current;
+};
+
+module.exports.isAdmin = async slackId => (await module.exports.getSettings()).admins.includes(slackId);
+
+/**
+ * Returns the key of the setting with the given name, or false if no setting
+ * has that name
+ */
+module.exports.resolveName = (name) => {
+  const cleaned = String(name).toLowerCase().replace(/[-_]/g, " ").trim();
+  return NAMES[cleaned] || (PARSERS[name] ? name : false);
+};
+
+/**
+ * Parses the given value for a setting, returning undefined if it's invalid
+ */
+module.exports.parseSetting = (key, text) => PARSERS[key](text);
+
+/**
+ * Removes the given setting, e.g. one that's no longer used
+ */
+module.exports.removeSetting = async (key) => {
+  await settings.findOneAndUpdate({ _id: SETTINGS_ID }, {
+    $unset: {
+      [key]: "",
+    },
+  });
+};
+
+/**
+ * Parses and saves the given setting. Returns the saved value, or undefined if
+ * the value couldn't be parsed
+ */
+module.exports.updateSetting = async (key, text) => {
+  const value = PARSERS[key](text);
+  if (value === undefined) return;
+
+  await settings.findOneAndUpdate({ _id: SETTINGS_ID }, {
+    $set: {
+      [key]: value,
+    },
+  }, {
+    upsert: true,
+  });
+  return value;
+};
@@ -1,94 +1,86 @@
 /**
  * Module for interacting with persistent stats data
+ *
+ * Stats are stored as one event per user per order, so that they can be
+ * queried for a date range. Totals recorded before that are kept as a single
+ * baseline event per user (see migrateTotals), which only counts towards stats
+ * without a date range.
  */
 
-const MongoClient = require("mongodb").MongoClient;
-const logger = require("../logger")("model");
-const priv = require("../private");
+const Storage = require("../storage");
+const Users = require("./users");
+const Transform = require("../util/transform");
 
-let stats;
-const client = new MongoClient(priv.mongoSrv, { useNewUrlParser: true });
-client.connect((err) => {
-  if (err) logger.error(err);
-  stats = client.db(priv.mongoDbName).collection("stats");
-});
+const events = Storage.collection("stat_events");
 
 const N_TOP_DISHES = 3;
+const N_LEADERS = 5;
 
 /********************************** Helpers ***********************************/
 
 /**
- * Return how many times the given user has been called
- */
-const getCallsForUser = async (slackId) => {
-  const s = await stats.findOne({ slackId });
-  return s ? s.calls : 0;
-};
-
-/**
- * Return the dollar value that the user spent at this restaurant
+ * Return the totals for each user from the events in the given range (or all
+ * events), in the form { slackId, calls, restaurants: { name: { dollars, items, calls } } }.
+ * Baseline events don't say which restaurant each call was for, so their calls
+ * only count towards the user's total.
+ * Only the given user's events, and only events from the given restaurant, are
+ * read if either is given. The helpers below take these totals, so that each
+ * request only reads the events once.
  */
-const getDollarsForRestaurant = async (slackId, restaurantName) => {
-  const s = await stats.findOne({ slackId });
-  return s && s.restaurants[restaurantName].dollars;
-};
+const getTotals = async (range, slackId, restaurant) => {
+  const query = slackId ? { slackId } : {};
+  if (range) {
+    query.date = {};
+    if (range.start) query.date.$gte = range.start;
+    if (range.end) query.date.$lte = range.end;
+  }
+  // Baseline events cover every restaurant, so they're filtered below
+  if (restaurant) query.$or = [{ restaurant }, { baseline: true }];
 
-/**
- * Return the dollar value that the user spent
- */
-const getDollarsForUser = async (slackId) => {
-  const s = await stats.findOne({ slackId });
-  return s && Object.keys(s.restaurants).reduce((m, r) => m + s.restaurants[r].dollars, 0);
-};
+  const allEvents = await events.find(query).toArray();
+  return Object.values(allEvents.reduce((memo, event) => {
+    if (!memo[event.slackId]) memo[event.slackId] = { slackId: event.slackId, calls: 0, restaurants: {} };
+    const totals = memo[event.slackId];
+    if (!restaurant) totals.calls += event.calls || 0;
 
-/**
- * Return the dollar value that all users spent
- */
-const getTotalDollars = async () => {
-  const allStats = await stats.find({}).toArray();
-  return allStats.reduce((total, s) => {
-    return total + Object.keys(s.restaurants).reduce((m, r) => m + s.restaurants[r].dollars, 0);
-  }, 0);
+    const restaurants = event.baseline ? fromMongo(event.restaurants || {}) : {
+      [event.restaurant]: {
+        dollars: event.dollars,
+        calls: event.calls || 0,
+        items: event.items.reduce((m, { name, quantity }) => Object.assign(m, { [name]: (m[name] || 0) + quantity }), {}),
+      },
+    };
+    Object.keys(restaurants).filter(r => !restaurant || r === restaurant).forEach((name) => {
+      if (!totals.restaurants[name]) totals.restaurants[name] = { dollars: 0, calls: 0, items: {} };
+      const restTotals = totals.restaurants[name];
+      restTotals.dollars += restaurants[name].dollars || 0;
+      restTotals.calls += restaurants[name].calls || 0;
+      Object.keys(restaurants[name].items).forEach((itemName) => {
+        restTotals.items[itemName] = (restTotals.items[itemName] || 0) + restaurants[name].items[itemName];
+      });
+    });
+    return memo;
+  }, {}));
 };
 
 /**
- * Return the top dishes for this user at this restaurant
+ * Return the dollar value that the user (with the given totals) spent
  */
-const getTopDishesForRestaurant = async (slackId, restaurant) => {
-  const pulled = await stats.findOne({ slackId });
-  if (!pulled) return;
-
-  const s = fromMongo(pulled.restaurants[restaurant].items);
-  return Object.keys(s).reduce((tops, itemName) => {
-    for (let i = 0; i < N_TOP_DISHES; i++) {
-      if (!tops[i] || s[itemName] > tops[i].count) {
-        tops.splice(i, 0, {
-          itemName,
-          count: s[itemName],
-        });
-        if (tops.length > N_TOP_DISHES) tops.pop();
-        break;
-      }
-    }
-    return tops;
-  }, []);
-};
+const dollarsForUser = s => Object.keys(s.restaurants).reduce((m, r) => m + s.restaurants[r].dollars, 0);
 
 /**
- * Return the top dishes for this user
+ * Return the top dishes from the given { itemName: count } objects, each
+ * labeled with its restaurant
  */
-const getTopDishesForUser = async (slackId) => {
-  const pulled = await stats.findOne({ slackId });
-  if (!pulled) return;
-
-  const s = fromMongo(pulled.restaurants);
-  return Object.keys(s).reduce((userTops, restaurant) => {
-    return Object.keys(s[restaurant].items).reduce((restTops, itemName) => {
+const topDishes = (itemsByRestaurant) => {
+  return Object.keys(itemsByRestaurant).reduce((allTops, restaurant) => {
+    const items = itemsByRestaurant[restaurant];
+    return Object.keys(items).reduce((restTops, itemName) => {
       for (let i = 0; i < N_TOP_DISHES; i++) {
-        if (!restTops[i] || s[restaurant].items[itemName] > restTops[i].count) {
+        if (!restTops[i] || items[itemName] > restTops[i].count) {
           restTops.splice(i, 0, {
             itemName,
-            count: s[restaurant].items[itemName],
+            count: items[itemName],
             restaurant,
           });
           if (restTops.length > N_TOP_DISHES) restTops.pop();
@@ -96,102 +88,229 @@ const getTopDishesForUser = async (slackId) => {
         }
       }
       return restTops;
-    }, userTops);
+    }, allTops);
   }, []);
 };
 
 /**
- * Return the top dishes for all users
+ * Return the top dishes for all users, optionally only at the given restaurant
  */
-const getTopDishes = async () => {
-  const allStats = fromMongo(await stats.find({}).toArray());
-
-  // First create array of all restaurant data (removes user association)
-  const restaurantData = allStats.reduce((memo, userStats) => {
-    const restDataAsList = Object.keys(userStats.restaurants).map((restaurantName) => {
-      return {
-        name: restaurantName,
-        items: userStats.restaurants[restaurantName].items,
-      };
+const topDishesForAll = (allStats, restaurant) => {
+  // Consolidate every user's items into a single object per restaurant
+  const itemsByRestaurant = allStats.reduce((memo, userStats) => {
+    Object.keys(userStats.restaurants).filter(r => !restaurant || r === restaurant).forEach((name) => {
+      if (!memo[name]) memo[name] = {};
+      const items = userStats.restaurants[name].items;
+      Object.keys(items).forEach((itemName) => {
+        memo[name][itemName] = (memo[name][itemName] || 0) + items[itemName];
+      });
     });
-    return memo.concat(restDataAsList);
-  }, []);
+    return memo;
+  }, {});
+  return topDishes(itemsByRestaurant);
+};
+
+/**
+ * Return the users who have been called the most
+ */
+const topCallers = async (allStats) => {
+  const callers = allStats.map(({ slackId, calls }) => ({ slackId, calls }));
+  return await withNames(topN(callers, "calls", N_LEADERS));
+};
 
-  // Consolidate restaurant data into single object
-  const crd = restaurantData.reduce((memo, data) => {
-    if (!memo[data.name]) memo[data.name] = {};
+/**
+ * Return the users who have spent the most
+ */
+const topSpenders = async (allStats) => {
+  const spenders = allStats.map(s => ({ slackId: s.slackId, dollars: dollarsForUser(s) }));
+  return await withNames(topN(spenders, "dollars", N_LEADERS));
+};
 
-    Object.keys(data.items).forEach((itemName) => {
-      if (!memo[data.name][itemName]) memo[data.name][itemName] = 0;
-      memo[data.name][itemName] += data.items[itemName];
+/**
+ * Return every restaurant ranked by how many items have been ordered from it,
+ * along with the dollars spent there, how many calls were received for it and
+ * how many users have ordered from it
+ */
+const restaurantRanking = (allStats) => {
+  const totals = allStats.reduce((memo, { restaurants }) => {
+    Object.keys(restaurants).forEach((restaurant) => {
+      if (!memo[restaurant]) memo[restaurant] = { restaurant, items: 0, dollars: 0, calls: 0, eaters: 0 };
+      memo[restaurant].items += countItems(restaurants[restaurant].items);
+      memo[restaurant].dollars += restaurants[restaurant].dollars;
+      memo[restaurant].calls += restaurants[restaurant].calls;
+      memo[restaurant].eaters++;
     });
     return memo;
   }, {});
+  return topN(Object.values(totals), "items");
+};
 
-  // Given consolidated restaurant data find tops
-  // Basically same logic as getTopDishesForUser
-  return Object.keys(crd).reduce((allTops, restaurant) => {
-    return Object.keys(crd[restaurant]).reduce((restTops, itemName) => {
-      for (let i = 0; i < N_TOP_DISHES; i++) {
-        if (!restTops[i] || crd[restaurant][itemName] > restTops[i].count) {
-          restTops.splice(i, 0, {
-            itemName,
-            count: crd[restaurant][itemName],
-            restaurant,
-          });
-          if (restTops.length > N_TOP_DISHES) restTops.pop();
-          break;
-        }
-      }
-      return restTops;
-    }, allTops);
-  }, []);
+/**
+ * Return the users who have ordered the most items from this restaurant
+ */
+const topEatersForRestaurant = async (allStats, restaurant) => {
+  const eaters = allStats.filter(s => s.restaurants[restaurant]).map(({ slackId, restaurants }) => ({
+    slackId,
+    items: countItems(restaurants[restaurant].items),
+    dollars: restaurants[restaurant].dollars,
+  }));
+  return await withNames(topN(eaters, "items", N_LEADERS));
 };
 
 /********************************** Exports ***********************************/
 
-// The following functions consolidate data from above helpers
-const getStatsForUserFromRestaurant = async (user, restaurant) => ({
-  dollars: await getDollarsForRestaurant(user, restaurant),
-  dishes: await getTopDishesForRestaurant(user, restaurant),
-});
-const getStatsForUser = async (user) => ({
-  calls: await getCallsForUser(user),
-  dollars: await getDollarsForUser(user),
-  dishes: await getTopDishesForUser(user),
-});
-const getGlobalStats = async () => ({
-  dollars: await getTotalDollars(),
-  dishes: await getTopDishes(),
-});
+// The following functions each take an optional date range like
+// { start: "2019-06-01", end: "2019-06-30" }
+
+/**
+ * Return how many times the given user has been called
+ */
+const getCallsForUser = async (slackId, range) => {
+  const [s] = await getTotals(range, slackId);
+  return (s && s.calls) || 0;
+};
+
+const getStatsForUserFromRestaurant = async (slackId, restaurant, range) => {
+  const [s] = await getTotals(range, slackId, restaurant);
+  if (!s || !s.restaurants[restaurant]) return { dollars: undefined, dishes: undefined };
+
+  return {
+    dollars: s.restaurants[restaurant].dollars,
+    dishes: topDishes({ [restaurant]: s.restaurants[restaurant].items }).map(({ itemName, count }) => ({ itemName, count })),
+  };
+};
+
+const getStatsForUser = async (slackId, range) => {
+  const [s] = await getTotals(range, slackId);
+  if (!s) return { calls: 0, dollars: undefined, dishes: undefined };
+
+  return {
+    calls: s.calls,
+    dollars: dollarsForUser(s),
+    dishes: topDishes(Object.keys(s.restaurants).reduce((m, r) => Object.assign(m, { [r]: s.restaurants[r].items }), {})),
+  };
+};
+
+const getGlobalStats = async (range) => {
+  const allStats = await getTotals(range);
+  return {
+    dollars: allStats.reduce((total, s) => total + dollarsForUser(s), 0),
+    dishes: topDishesForAll(allStats),
+    callers: await topCallers(allStats),
+    spenders: await topSpenders(allStats),
+    restaurants: restaurantRanking(allStats).slice(0, N_LEADERS),
+  };
+};
+
+const getGlobalStatsForRestaurant = async (restaurant, range) => {
+  const allStats = await getTotals(range);
+  const ranking = restaurantRanking(allStats);
+  const rank = ranking.findIndex(r => r.restaurant === restaurant);
+  if (rank === -1) return {};
+
+  return {
+    dollars: ranking[rank].dollars,
+    items: ranking[rank].items,
+    rank: { place: rank + 1, of: ranking.length },
+    dishes: topDishesForAll(allStats, restaurant).map(({ itemName, count }) => ({ itemName, count })),
+    eaters: await topEatersForRestaurant(allStats, restaurant),
+  };
+};
+
+const getTopCallers = async range => await topCallers(await getTotals(range));
+const getTopSpenders = async range => await topSpenders(await getTotals(range));
+const getRestaurantRanking = async range => restaurantRanking(await getTotals(range));
+
+/**
+ * Return the calls, dollars spent and items ordered by every user, along with
+ * how many restaurants they ordered from, with the biggest spenders first
+ */
+const getUserTotals = async (range) => {
+  const totals = (await getTotals(range)).map(s => ({
+    slackId: s.slackId,
+    calls: s.calls,
+    dollars: dollarsForUser(s),
+    items: Object.keys(s.restaurants).reduce((m, r) => m + countItems(s.restaurants[r].items), 0),
+    restaurants: Object.keys(s.restaurants).length,
+  }));
+  return await withNames(totals.sort((a, b) => b.dollars - a.dollars));
+};
 
 /**
- * Record the given set of stats
+ * Record the given set of stats as an event for today
  */
 const recordStats = async (slackId, restaurant, dollars, items, calls) => {
-  const changes = items.reduce((memo, [itemName]) => {
-    const key = `restaurants.${restaurant}.items.${toMongo(itemName)}`;
-    memo[key] = memo[key] ? memo[key] + 1 : 1;
-    return memo;
-  }, {});
+  await events.insertOne({
+    slackId,
+    restaurant,
+    dollars,
+    items: items.map(([name, options, comments, quantity = 1]) => ({ name, quantity })),
+    calls: calls ? 1 : 0,
+    date: Transform.dateKey(),
+    timestamp: new Date(),
+  });
+};
 
-  changes[`restaurants.${restaurant}.dollars`] = dollars;
-  if (calls) changes["calls"] = 1;
+/**
+ * Copies each user's totals from the old `stats` collection into a baseline
+ * event. Users who already have a baseline are skipped, so this is safe to run
+ * every time the server starts. The `stats` collection is left as is and can
+ * be dropped afterwards. Returns how many users were migrated, out of how many.
+ */
+const migrateTotals = async () => {
+  let migrated = 0;
+  const allStats = await Storage.collection("stats").find({}).toArray();
+  for (const { slackId, calls, restaurants } of allStats) {
+    if (await events.findOne({ slackId, baseline: true })) continue;
 
-  await stats.findOneAndUpdate({ slackId }, { $inc: changes }, { upsert: true });
+    await events.insertOne({
+      slackId,
+      baseline: true,
+      calls: calls || 0,
+      restaurants: restaurants || {},
+      timestamp: new Date(),
+    });
+    migrated++;
+  }
+  return { migrated, of: allStats.length };
 };
 
 module.exports = {
+  getCallsForUser,
   getStatsForUserFromRestaurant,
   getStatsForUser,
   getGlobalStats,
+  getGlobalStatsForRestaurant,
+  getTopCallers,
+  getTopSpenders,
+  getRestaurantRanking,
+  getUserTotals,
   recordStats,
+  migrateTotals,
+};
+
+/********************************* Utilities **********************************/
+
+// Returns the n entries with the highest value for the given key
+const topN = (entries, key, n = entries.length) => {
+  return entries.filter(e => e[key] > 0).sort((a, b) => b[key] - a[key]).slice(0, n);
+};
+
+// Returns the total quantity of the given { itemName: quantity } object
+const countItems = items => Object.keys(items || {}).reduce((m, i) => m + items[i], 0);
+
+// Adds the name of each user to the given entries, falling back to the Slack ID
+const withNames = async (entries) => {
+  return await Promise.all(entries.map(async (entry) => {
+    const user = await Users.getUser(entry.slackId);
+    return Object.assign({ name: (user && user.name) || entry.slackId }, entry);
+  }));
 };
 
 /********************************* Sanitizers *********************************/
 
-// These functions sanitize data so that it can safely be passed to Mongo
-const toMongo = s => s.replace(".", "%PD%");
+// Baseline events copy the old totals, whose item names were sanitized so that
+// they could be used as keys in Mongo
 const fromMongo = (o) => {
   if (typeof o !== "object") return o;
 
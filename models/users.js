@@ -2,21 +2,26 @@
  * Module for interacting with persistent users data
  */
 
-const MongoClient = require("mongodb").MongoClient;
-const logger = require("../logger")("model");
-const priv = require("../private");
-
-let users;
-const client = new MongoClient(priv.mongoSrv, { useNewUrlParser: true });
-client.connect((err) => {
-  if (err) logger.error(err);
-  users = client.db(priv.mongoDbName).collection("users");
-});
-
-module.exports.getUser = async slackId => await users.findOne({ slackId });
+const Storage = require("../storage");
+
+const users = Storage.collection("users");
+
+module.exports.getUser = async slackId => withFavorites(await users.findOne({ slackId }));
+module.exports.getUsersWithFavorites = async () => {
+  const found = await users.find({ $or: [{ "favorite": { $exists: true } }, { "favorites.0": { $exists: true } }] }).toArray();
+  return found.map(withFavorites);
+};
+module.exports.getAllUsers = async () => (await users.find({}).toArray()).map(withFavorites);
 module.exports.removeUser = async slackId => await users.deleteOne({ slackId });
+module.exports.updateUser = async (slackId, fields) => {
+  return withFavorites((await users.findOneAndUpdate({ slackId }, {
+    $set: fields,
+  }, {
+    returnOriginal: false,
+  })).value);
+};
 module.exports.addUser = async (slackId, name, phone, username) => {
-  return (await users.findOneAndUpdate({ slackId }, {
+  return withFavorites((await users.findOneAndUpdate({ slackId }, {
     $set: {
       slackId,
       name,
@@ -26,19 +31,89 @@ module.exports.addUser = async (slackId, name, phone, username) => {
   }, {
     upsert: true,
     returnOriginal: false,
-  })).value;
+  })).value);
+};
+
+/**
+ * Saves a favorite, replacing any favorite with the same name. Each restaurant
+ * has a default favorite, which is the first one saved for it unless isDefault
+ * is set.
+ */
+module.exports.saveFavorite = async (slackId, name, restaurant, items, isDefault) => {
+  await updateFavorites(slackId, (favorites) => {
+    const others = favorites.filter(f => f.name.toLowerCase() !== name.toLowerCase());
+    const makeDefault = isDefault || !others.some(f => f.restaurant === restaurant && f.isDefault);
+    return others.map((f) => {
+      return makeDefault && f.restaurant === restaurant ? Object.assign({}, f, { isDefault: false }) : f;
+    }).concat({
+      name,
+      restaurant,
+      items,
+      isDefault: makeDefault,
+      saved: Date.now(),
+    });
+  });
+};
+module.exports.updateFavoriteItems = async (slackId, name, items) => {
+  await updateFavorites(slackId, favorites => favorites.map((f) => {
+    return f.name === name ? Object.assign({}, f, { items, errors: [] }) : f;
+  }));
+};
+module.exports.setFavoriteErrors = async (slackId, name, errors) => {
+  await updateFavorites(slackId, favorites => favorites.map((f) => {
+    return f.name === name ? Object.assign({}, f, { errors }) : f;
+  }));
+};
+module.exports.removeFavorite = async (slackId, name) => {
+  await updateFavorites(slackId, (favorites) => {
+    const removed = favorites.find(f => f.name === name);
+    const remaining = favorites.filter(f => f !== removed);
+
+    // Another favorite from the same restaurant becomes the default
+    const next = removed && removed.isDefault && remaining.find(f => f.restaurant === removed.restaurant);
+    return remaining.map(f => (f === next ? Object.assign({}, f, { isDefault: true }) : f));
+  });
 };
-module.exports.saveFavorite = async (slackId, restaurant, items) => {
+
+module.exports.saveDiet = async (slackId, diet) => {
   await users.findOneAndUpdate({ slackId }, {
     $set: {
-      favorite: {
-        restaurant,
-        items,
-      },
+      diet,
     },
   });
 };
-module.exports.removeFavorite = async (slackId) => {
-  await users.findOneAndUpdate({ slackId }, { $unset: { favorite: "" } });
+module.exports.removeDiet = async (slackId) => {
+  await users.findOneAndUpdate({ slackId }, { $unset: { diet: "" } });
+};
+
+/********************************** Helpers ***********************************/
+
+/**
+ * Users saved before favorites were named have a single favorite, which
+ * becomes the default for its restaurant
+ */
+const withFavorites = (user) => {
+  if (!user || user.favorites) return user;
+
+  const { favorite } = user;
+  const converted = Object.assign({}, user, {
+    favorites: favorite ? [Object.assign({ name: favorite.restaurant, isDefault: true, saved: 0 }, favorite)] : [],
+  });
+  delete converted.favorite;
+  return converted;
 };
 
+/**
+ * Replaces the user's favorites with the result of the given function
+ */
+const updateFavorites = async (slackId, update) => {
+  const user = withFavorites(await users.findOne({ slackId }));
+  await users.findOneAndUpdate({ slackId }, {
+    $set: {
+      favorites: update(user.favorites),
+    },
+    $unset: {
+      favorite: "",
+    },
+  });
+};
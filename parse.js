@@ -0,0 +1,30 @@
+/**
+ * Module for choosing an intent parser
+ *
+ * By default, text is parsed by Dialogflow, and the rule-based parser is used
+ * if Dialogflow fails or doesn't recognize the command. Setting `"parser":
+ * "rules"` in private.json uses the rule-based parser only, so Alfred can run
+ * without network access.
+ */
+
+const ruleParse = require("./rule_parse");
+const logger = require("./logger")("parse");
+const priv = require("./private");
+
+// Only load the Dialogflow client if it will be used
+const dfParse = priv.parser === "rules" ? null : require("./df_parse");
+
+/**
+ * Given the input text, resolves the promise with the command and arguments
+ */
+module.exports = async (text) => {
+  if (!dfParse) return ruleParse(text);
+
+  try {
+    const parsed = await dfParse(text);
+    if (parsed) return parsed;
+  } catch (err) {
+    logger.info("Dialogflow failed, falling back to rules");
+  }
+  return ruleParse(text);
+};
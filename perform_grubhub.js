@@ -1,70 +1,117 @@
 /**
  * Perform module
  *
- * This file contains the business logic for ordering through Seamless. The
- * do() function below will initialize the headless browser, order using the
- * orders module, and generate confirmations.
+ * This file contains the business logic for ordering: which orders go
+ * together, who pays and who gets the call. The go() function below enters
+ * the orders through an ordering provider (see providers/index.js), records
+ * the results and generates confirmations. When an order fails, the step it
+ * failed on and diagnostics for it are saved with the confirmations.
+ *
+ * Actual runs can safely be run again: restaurants that were already ordered
+ * from today are skipped (see models/runs.js), as are orders that another run
+ * is working on. An order that a run stopped while submitting may have been
+ * placed, so it's only retried with --retry-unknown, which also retries orders
+ * that another run started recently.
+ *
+ * Usage:
+ *   node perform_grubhub.js [--actual] [--post] [--time=1730] [--provider=mock]
+ *                           [--retry-unknown]
  */
 
-const puppeteer = require("puppeteer");
+const fs = require("fs");
+const Providers = require("./providers");
+const Storage = require("./storage");
 const Orders = require("./models/orders");
 const Users = require("./models/users");
 const Stats = require("./models/stats");
+const Calendar = require("./models/calendar");
+const History = require("./models/history");
+const Runs = require("./models/runs");
 const Transform = require("./util/transform");
+const Diet = require("./util/diet");
 const Slack = require("./util/slack");
 const logger = require("./logger")("perform");
 
-const priv = require("./private");
-
 // Setup
-const URLS = {
-  login: "https://www.grubhub.com/login",
-  setupRest: "https://www.grubhub.com/lets-eat",
-};
 const INITIAL_RETRIES = 3;
+const CONFIRMATIONS_DIR = `${__dirname}/confirmations`;
+const CONFIRMATIONS_URL = "https://alfred.ajay-gandhi.com/confirmations";
 
 // Args
-const ORDER_TIME = process.argv.reduce((m, a) => a.includes("--time=") ? parseInt(a.substring(a.indexOf("=") + 1)) : m, 1730);
+// Defaults to the delivery time in settings
+const ORDER_TIME = process.argv.reduce((m, a) => a.includes("--time=") ? parseInt(a.substring(a.indexOf("=") + 1)) : m, false);
 const DRY_RUN = !process.argv.reduce((m, a) => m || a === "--actual", false);
 const POST_TO_SLACK = process.argv.reduce((m, a) => m || a === "--post", false);
+// Defaults to the provider in private.json
+const PROVIDER = process.argv.reduce((m, a) => a.startsWith("--provider=") ? a.substring(11) : m, undefined);
+// Also retry orders that a previous run stopped while submitting, or started
+// recently
+const RETRY_UNKNOWN = process.argv.reduce((m, a) => m || a === "--retry-unknown", false);
 
+let orderTime;
 const go = async () => {
-  // Initialize data and browser
+  // Initialize data and provider, unless Alfred is closed today
+  const { closed, deliveryTime } = await Calendar.getSchedule();
+  if (closed) {
+    logger.info("Closed today, not ordering");
+    process.exit(0);
+  }
+  orderTime = ORDER_TIME || deliveryTime;
   const orders = await Orders.getOrders();
   if (orders.filter(o => !o.isDonor).length === 0) process.exit(0);
 
+  const date = Transform.dateKey();
   const orderSets = Transform.indexByRestaurantAndUser(orders);
 
-  const browser = await puppeteer.launch({
-    executablePath: "/usr/bin/chromium-browser",
-  });
-  const page = await browser.newPage();
+  // Actual runs skip restaurants that were already ordered from today, so that
+  // running again only retries the orders that failed or weren't attempted
+  let toOrder = orderSets;
+  if (!DRY_RUN) {
+    await Runs.addPendingOrders(date, orderSets.map(s => ({ restaurant: s.restaurant, users: s.users.filter(u => !u.isDonor) })));
+    const skipped = (await Runs.getOrders(date)).filter(o => o.status === "submitted" || (o.submitting && !RETRY_UNKNOWN));
+    skipped.forEach(({ restaurant, status }) => {
+      logger.info(`Skipping ${restaurant}, ${status === "submitted" ? "already ordered" : "may have been ordered"}`);
+    });
+    toOrder = orderSets.filter(s => !skipped.some(o => o.restaurant === s.restaurant));
+  }
+
+  const provider = Providers.create(PROVIDER);
 
   // Start ordering process
   const results = [];
   try {
-    await loginToGrubhub(page);
-    logger.info("Logged in");
+    if (toOrder.length > 0) {
+      await provider.start();
+      await provider.login();
+      logger.info("Logged in");
+    }
 
-    for (const orderSet of orderSets) {
-      logger.info(`Beginning order from ${orderSet.restaurant}`);
-      const orderResult = await orderFromRestaurant(page, orderSet.restaurant, orderSet.users, INITIAL_RETRIES);
+    for (const orderSet of toOrder) {
       const orderParticipants = orderSet.users.filter(u => !u.isDonor);
+      if (!DRY_RUN && !(await Runs.claimOrder(date, orderSet.restaurant, orderParticipants, RETRY_UNKNOWN))) {
+        logger.info(`Skipping ${orderSet.restaurant}, another run may still be ordering from it`);
+        continue;
+      }
+
+      logger.info(`Beginning order from ${orderSet.restaurant}`);
+      const orderResult = await orderFromRestaurant(provider, orderSet.restaurant, orderSet.users, INITIAL_RETRIES);
 
+      let result;
       if (orderResult.errors) {
-        results.push({
+        result = {
           successful: false,
           restaurant: orderSet.restaurant,
           users: orderParticipants,
           errors: orderResult.errors,
-        });
+          diagnostics: orderResult.diagnostics,
+        };
       } else {
-        results.push({
+        result = {
           successful: true,
           restaurant: orderSet.restaurant,
           userCall: orderResult.user.slackId,
-          confirmationUrl: `https://alfred.ajay-gandhi.com/confirmations/${sanitizeFilename(orderSet.restaurant)}.pdf`,
-        });
+          confirmationUrl: `${CONFIRMATIONS_URL}/${sanitizeFilename(orderSet.restaurant)}.pdf`,
+        };
 
         if (!DRY_RUN) {
           // Record stats
@@ -78,383 +125,234 @@ const go = async () => {
           await Orders.setCallee(orderResult.user.slackId);
         }
       }
+      results.push(result);
+
+      if (!DRY_RUN) {
+        await Runs.finishOrder(date, orderSet.restaurant, result);
+        await recordHistory(orders, orderParticipants, orderSet.restaurant, orderResult);
+      }
 
-      // Give Grubhub a break
-      await page.waitFor(5000);
+      await provider.pause();
     }
   } catch (err) {
     logger.error(err);
   }
 
+  // The summary of an actual run covers every order today, including those
+  // from earlier runs
+  let summary = results;
+  try {
+    await Runs.recordRun(results, DRY_RUN);
+    if (!DRY_RUN) summary = await Runs.getDayResults(date, orderSets.map(s => s.restaurant));
+  } catch (err) {
+    logger.error(err);
+  }
+
   if (POST_TO_SLACK) {
-    await Slack.sendFinishedMessage(results, DRY_RUN);
+    await Slack.sendFinishedMessage(summary, DRY_RUN);
   } else {
-    logger.info(results);
+    logger.info(summary);
   }
-  await browser.close();
+  await provider.close();
   process.exit(0);
 };
-setTimeout(go, 6000);
+Storage.init().then(go);
 
 /**
- * Logs the given page into Grubhub
+ * Given a logged-in provider, this function will submit an order at the given
+ * restaurant with the given items for the given slack IDs. Each step is added
+ * to the trace, which covers every attempt. If the order fails, the result
+ * includes diagnostics (see captureFailure).
  */
-const loginToGrubhub = async (page) => {
-  await page.goto(URLS.login);
-
-  await page.$eval("input[name=\"email\"]", (e, v) => e.value = v, priv.username);
-  await page.$eval("input[name=\"password\"]", (e, v) => e.value = v, priv.password);
-
-  await page.click("form.signInForm button");
-  await page.waitForNavigation();
-};
-
-/**
- * Given a page with a logged-in status, this function will submit an order
- * at the given restaurant with the given items for the given slack IDs.
- */
-const orderFromRestaurant = async (page, restaurant, userOrders, retries) => {
-  try {
-    let result = {};
-
-    const slackIds = userOrders.map(o => o.slackId);
-
-    const steps = [
-      setupRestaurant.bind(null, page, restaurant),
-      fillOrders.bind(null, page, userOrders),
-      fillNames.bind(null, page, slackIds, result),
-      fillPhoneNumber.bind(null, page, userOrders),
-    ];
-
-    // Here, we run each step one at a time. If a step fails and returns
-    // retry: true, run the entire function again (up to INITIAL_RETRIES times)
-    // If a step fails and with retry: false, return the error message
-    // If a step has valuable output (only fillPhoneNumber() for now), save it
-    // to result
-    for (let step = 0; step < steps.length; step++) {
-      const stepOutput = await steps[step]();
-      if (stepOutput) {
-        if (stepOutput.errors) {
-          if (stepOutput.retry && retries > 0) {
-            // Don't really care why, just retry
-            return await orderFromRestaurant(page, restaurant, userOrders, retries - 1);
-          } else {
-            return stepOutput;
-          }
+const orderFromRestaurant = async (provider, restaurant, userOrders, retries, trace = []) => {
+  const attempt = INITIAL_RETRIES - retries + 1;
+  let result = {};
+
+  const steps = [
+    ["setupRestaurant", () => provider.setupRestaurant(restaurant, orderTime)],
+    ["fillCart", async () => provider.fillCart(await toCart(userOrders))],
+    ["fillAllocations", () => fillAllocations(provider, userOrders, result)],
+    ["fillCallee", () => fillCallee(provider, userOrders)],
+    ["submit", () => submit(provider, restaurant)],
+  ];
+
+  // Here, we run each step one at a time. If a step fails and returns
+  // retry: true, run the entire function again (up to INITIAL_RETRIES times)
+  // If a step fails and with retry: false, return the error message
+  // If a step has valuable output (the amounts and the callee), save it to
+  // result
+  for (const [name, step] of steps) {
+    if (!DRY_RUN) await Runs.touchOrder(Transform.dateKey(), restaurant);
+    const stepOutput = await traceStep(trace, name, attempt, step);
+    if (stepOutput) {
+      if (stepOutput.errors) {
+        if (stepOutput.retry && retries > 0) {
+          // Don't really care why, just retry
+          return await orderFromRestaurant(provider, restaurant, userOrders, retries - 1, trace);
         } else {
-          result = Object.assign(result, stepOutput);
+          return {
+            errors: stepOutput.errors,
+            diagnostics: await captureFailure(provider, restaurant, trace),
+          };
         }
+      } else {
+        result = Object.assign(result, stepOutput);
       }
     }
+  }
 
-    // Submit order
-    const confirmationPath = `${__dirname}/confirmations/${sanitizeFilename(restaurant)}.pdf`;
-    await page.waitFor(2000);
-    if (DRY_RUN) {
-      await page.waitForSelector("button#ghs-checkout-review-submit", { timeout: 1000 });
-      await page.pdf({ path: confirmationPath });
-      logger.info(`Simulated order from ${restaurant}, confirmation is in ${confirmationPath}`);
-    } else {
-      await page.click("button#ghs-checkout-review-submit");
-      await page.waitForNavigation();
-      await page.pdf({ path: confirmationPath });
-      logger.info(`Ordered from ${restaurant}, confirmation is in ${confirmationPath}`);
-    }
+  return result;
+};
+
+/**
+ * Runs the given step of an order, and adds when it started, how long it took
+ * and whether it failed to the trace. A step that throws fails without being
+ * retried.
+ */
+const traceStep = async (trace, step, attempt, run) => {
+  const entry = { step, attempt, started: new Date() };
+  trace.push(entry);
 
-    return result;
+  let output;
+  try {
+    output = await run();
   } catch (e) {
     logger.error(e);
-    return {
+    entry.exception = e.toString();
+    output = {
+      retry: false,
       errors: ["Order failed for unknown reason."],
     };
   }
-};
 
-const setupRestaurant = async (page, restaurant) => {
-  logger.info("Visiting restaurant");
-  try {
-    await page.goto(URLS.setupRest);
-    await page.waitFor(3000);
-
-    // Time
-    await page.click("div.whenForSelector-btn");
-    await page.waitFor("section.s-dialog-body");
-    await page.waitFor(300);
-
-    await page.select("section.s-dialog-body select", timeToString());
-    await page.waitFor(500);
-    await page.click("section.s-dialog-body button");
-    await page.waitFor(500);
-
-    // Restaurant
-    await page.click("div.startOrder-search-input input");
-    await page.waitFor(300);
-    await page.click("div.navbar-menu-search input");
-    await page.keyboard.type(restaurant);
-    await page.waitFor("div.ghs-autocompleteResult-container");
-    await page.waitFor(1000);
-    await page.click("div.ghs-autocompleteResult-container:first-child");
-
-    // Wait for items to appear
-    await page.waitFor(() => document.querySelectorAll("div.menuItem").length > 0);
-    await page.waitFor(1000);
-  } catch (e) {
-    logger.error(e);
-    if (e instanceof TypeError) {
-      // Couldn't find restaurant containing given text
-      return {
-        retry: false,
-        errors: ["Restaurant does not exist or is closed at this time."],
-      };
-    } else {
-      // Most likely a timeout, should retry
-      return {
-        retry: true,
-        errors: [e.toString()],
-      };
-    }
+  entry.ms = Date.now() - entry.started.getTime();
+  entry.failed = !!(output && output.errors);
+  if (entry.failed) {
+    entry.errors = output.errors;
+    if (output.item) entry.item = output.item;
+    if (output.exception) entry.exception = output.exception;
   }
+  logger.info(`${step} ${entry.failed ? "failed" : "finished"} in ${entry.ms}ms`);
+  return output;
 };
 
 /**
- * Given a page at the order stage, this function will add the given orders to
- * the cart.
- *
- * The userOrders parameter should be an array of objects of this form:
- *   {
- *     slackId: "bobby",
- *     items: [
- *       [
- *         "dish1",
- *         ["option 1", "option 2"],
- *       ],
- *       [
- *         "dish2",
- *         ["option 1", "option 2"],
- *       ],
- *     ]
- *   }
+ * Submits the order (or simulates it on a dry run), saving the confirmation
  */
-const fillOrders = async (page, userOrders) => {
-  logger.info("Inputting items");
-  const orderAmounts = {};
-  try {
-    // Clear existing cart first
-    const hasCart = await page.$eval("button.ghs-toggleCart", e => e.className.includes("withItems"));
-    if (hasCart) {
-      await page.click("button.ghs-toggleCart");
-      await page.waitFor(500);
-      const isEmpty = !!(await page.$("div.cart-error-emptyCart"));
-      const otherCart = !!(await page.$("button.ghs-deleteCart"));
-      if (otherCart) {
-        await page.click("button.ghs-deleteCart");
-        await page.waitFor(500);
-      } else if (!isEmpty) {
-        await page.click("button.ghs-confirmClearCart");
-        await page.waitFor(500);
-        await page.click("button.ghs-confirmChange");
-        await page.waitFor(500);
-      }
-      await page.click("button.ghs-toggleCart");
-      await page.waitFor(2500);
-    }
-
-    const itemLinks = await page.$$("div.menuSection:not(.restaurant-order-history):not(.restaurant-favoriteItems) div.menuItemNew-name a");
-
-    for (let i = 0; i < userOrders.length; i++) {
-      // Record for stats
-      orderAmounts[userOrders[i].slackId] = 0;
-      for (const [item, options, comments] of userOrders[i].items) {
-        // Click menu item
-        await clickItem(page, item, itemLinks);
-        await page.waitFor(200);
-
-        // Select options
-        const optionLinks = await page.$$("span.menuItemModal-choice-option-description");
-        for (const opt of options) {
-          for (const input of optionLinks) {
-            const optionText = await page.evaluate(e => e.innerText, input);
-            if (Transform.parseOption(optionText).name === opt) {
-              await input.click();
-              break;
-            }
-          }
-        }
-
-        // Input comments
-        const commentSelector = "textarea.menuItemModal-special-instructions-textarea";
-        const hasComments = await page.$(commentSelector);
-        if (hasComments) {
-          const name = (await Users.getUser(userOrders[i].slackId)).name;
-          const commentsText = (comments && comments.length > 0) ? `\n${comments.join(", ")}` : "";
-          const txt = `Please label for ${name}!${commentsText}`;
-          await page.click(commentSelector);
-          await page.keyboard.type(txt);
-          await page.waitFor(500);
-        }
+const submit = async (provider, restaurant) => {
+  const confirmationPath = `${CONFIRMATIONS_DIR}/${sanitizeFilename(restaurant)}.pdf`;
+  if (!DRY_RUN) await Runs.setSubmitting(Transform.dateKey(), restaurant);
+  await provider.submit(confirmationPath, DRY_RUN);
+  if (DRY_RUN) {
+    logger.info(`Simulated order from ${restaurant}, confirmation is in ${confirmationPath}`);
+  } else {
+    logger.info(`Ordered from ${restaurant}, confirmation is in ${confirmationPath}`);
+  }
+};
 
-        // Record for stats
-        orderAmounts[userOrders[i].slackId] += await page.$eval("h5.menuItemModal-price", e => parseFloat(e.innerText.substring(1)));
+/**
+ * Saves a screenshot and HTML snapshot from the provider, and the trace, next
+ * to the confirmations (so they're behind the same auth). Returns the step
+ * and item that failed, and the URLs of whatever was saved.
+ */
+const captureFailure = async (provider, restaurant, trace) => {
+  const name = `${sanitizeFilename(restaurant)}_failure`;
+  const { step, item } = trace[trace.length - 1];
+  const diagnostics = { step, item };
 
-        // Click add to order
-        await page.click("footer.s-dialog--complex-footer button");
-        await page.waitFor(() => !document.querySelector("div.s-dialog-body"));
-        await page.waitFor(1000);
-      }
-    }
+  try {
+    const { screenshot, snapshot } = await provider.capture(`${CONFIRMATIONS_DIR}/${name}`);
+    if (screenshot) diagnostics.screenshotUrl = `${CONFIRMATIONS_URL}/${name}.png`;
+    if (snapshot) diagnostics.snapshotUrl = `${CONFIRMATIONS_URL}/${name}.html`;
   } catch (e) {
     logger.error(e);
-    // Most likely a timeout, or we didn't wait long enough
-    return {
-      retry: true,
-      errors: [e.toString()],
-    };
-  }
-
-  const warningMessages = await page.$$("div.u-text-warning");
-  if (warningMessages.length > 0) {
-    return {
-      retry: false,
-      errors: ["Delivery minimum not met."],
-    };
   }
 
   try {
-    await page.click("button#ghs-cart-checkout-button");
-    await page.waitForNavigation();
-    await page.waitFor(2000);
-    return { orderAmounts };
+    const contents = { restaurant, dry: DRY_RUN, trace };
+    fs.writeFileSync(`${CONFIRMATIONS_DIR}/${name}.json`, JSON.stringify(contents, null, 2), "utf8");
+    diagnostics.traceUrl = `${CONFIRMATIONS_URL}/${name}.json`;
   } catch (e) {
     logger.error(e);
-    // Most likely a timeout
-    return {
-      retry: true,
-      errors: [e.toString()],
-    };
   }
+
+  return diagnostics;
 };
 
 /**
- * Given a page at the checkout stage, this function will enter the given
- * names. The names parameter should be an array of tuples, where each tuple
- * contains the first and last names of all those involved in the order.
+ * Converts the given orders (see Transform.indexByRestaurantAndUser) into a
+ * cart for the provider, labeling each item with the user's name, diet and
+ * comments
  */
-const fillNames = async (page, slackIds, { orderAmounts }) => {
-  logger.info("Inputting names");
-
-  try {
-    // Grubhub added an intermediate "review order" page
-    await page.click("button#ghs-cart-checkout-button");
-    await page.waitForNavigation();
-
-    // Enable split with coworkers
-    await page.waitFor("label[for=\"showAllocations\"]");
-    await page.click("label[for=\"showAllocations\"]");
-    await page.waitFor(200);
-
-    for (const slackId of slackIds) {
-      const name = (await Users.getUser(slackId)).name;
-      if (name.toLowerCase() === "ajay gandhi") continue;
-
-      await page.click("div.allocations-fields-container > div > input");
-      await page.keyboard.type(name);
-
-      await page.waitFor(4000);
-      await page.click("div.allocations-autocomplete-dropdown div.s-row");
-      await page.waitFor(5000);
-    }
-
-    if (!slackIds.includes(priv.mySlackId)) {
-      // Clear my allocation if I'm not in the order
-      await page.click("div.allocations-fields-container table tr:last-of-type td.u-text-right button");
-      const myAllocation = await page.$("div.allocations-fields-container table tr:last-of-type td.u-text-secondary input");
-      await myAllocation.click({ clickCount: 3 });
-      await myAllocation.type("0");
-      await page.click("div.allocations-fields-container table tr:last-of-type td.u-text-right button");
-      await page.waitFor(2000);
-    }
-
-    const amountDue = await page.$eval("div.amount-due h6.lineItem-amount", e => Number(e.innerText.trim().substring(1)));
-    if (amountDue > 0) {
-      // Exceeded budget
-      // If within 0.75, adjust tip
-      const currentTip = await page.$eval("div.lineItems div.tip div.lineItem-amount", e => Number(e.innerText.trim().substring(1)));
-      if (amountDue <= 0.75 && currentTip > 0.75) {
-        // Leave some breathing room
-        const newTip = (currentTip - amountDue - 0.01).toFixed(2);
-        await page.click("div.tipEntryButton-customTip button");
-        const tipInput = await page.$("input#customTipAmount");
-        await tipInput.click({ clickCount: 3 });
-        await tipInput.type(newTip.toString());
-        await page.click("h4");
-        await page.waitFor(4000);
-      } else {
-        // Find person with most expensive order
-        const maxOrder = Object.keys(orderAmounts).reduce((memo, slackId) => {
-          if (orderAmounts[slackId] > memo.amount) {
-            return {
-              slackId,
-              amount: orderAmounts[slackId],
-            };
-          } else {
-            return memo;
-          }
-        }, { amount: 0 });
-
+const toCart = async (userOrders) => {
+  return await Promise.all(userOrders.map(async ({ slackId, items }) => {
+    const { name, diet } = await Users.getUser(slackId);
+    const dietText = diet ? `\n${Diet.formatDiet(diet)}` : "";
+    return {
+      slackId,
+      items: items.map(([item, options, comments, quantity]) => {
+        const commentsText = (comments && comments.length > 0) ? `\n${comments.join(", ")}` : "";
         return {
-          retry: false,
-          errors: [`Order exceeded budget by $${amountDue}. ${Slack.atUser(maxOrder.slackId)}'s order is the highest at $${maxOrder.amount.toFixed(2)}.`],
+          name: item,
+          options,
+          quantity,
+          instructions: `Please label for ${name}!${dietText}${commentsText}`,
         };
-      }
-    }
-  } catch (e) {
-    logger.error(e);
-    return {
-      retry: true,
-      errors: [`Order failed for unknown reason.`],
+      }),
     };
-  }
+  }));
 };
 
 /**
- * Given a page at the checkout page, fills out a random phone number.
- * Returns the user that was selected
+ * Splits the order between the given users. If the order is over their
+ * allocations by a little, the tip is lowered to cover it, otherwise the
+ * order fails and the most expensive order is called out.
  */
-const fillPhoneNumber = async (page, orders) => {
-  logger.info("Inputting phone number");
-  try {
-
-    // Eco-friendly order!
-    const shouldClick = await page.$eval("div[at-delivery-instructions-toggle=\"true\"] use", e => e.getAttribute("href"));
-    if (shouldClick === "#plus") await page.click("div[at-delivery-instructions-toggle=\"true\"]");
-    await page.click("label[for=\"ghs-checkout-green\"]");
-
-    const slackIds = orders.reduce((memo, o) => o.isDonor ? memo : memo.concat(o.slackId), []);
-    const selectedUser = slackIds[Math.floor(Math.random() * slackIds.length)];
-    const user = await Users.getUser(selectedUser);
-
-    // Click on change info button
-    await page.waitFor(2000);
-    await page.click("a.ghs-link-edit-info");
-
-    // Input name + phone and continue
-    await page.$eval("input.ghs-firstNameField", (e, v) => e.value = v, user.name.split(" ")[0]);
-    await page.$eval("input.ghs-lastNameField", (e, v) => e.value = v, user.name.split(" ")[1]);
-    await page.$eval("input.ghs-accountPhone", (e, v) => e.value = v, user.phone);
-    await page.click("button#ghs-checkout-gather-submit");
-    await page.waitFor(2000);
+const fillAllocations = async (provider, userOrders, { orderAmounts }) => {
+  const participants = await Promise.all(userOrders.map(async ({ slackId }) => {
+    return { slackId, name: (await Users.getUser(slackId)).name };
+  }));
+  const allocated = await provider.fillAllocations(participants);
+  if (allocated.errors) return allocated;
+
+  const { amountDue, tip } = allocated;
+  if (amountDue > 0) {
+    // Exceeded budget
+    // If within 0.75, adjust tip
+    if (amountDue <= 0.75 && tip > 0.75) {
+      // Leave some breathing room
+      return await provider.setTip(Number((tip - amountDue - 0.01).toFixed(2)));
+    } else {
+      // Find person with most expensive order
+      const maxOrder = Object.keys(orderAmounts).reduce((memo, slackId) => {
+        if (orderAmounts[slackId] > memo.amount) {
+          return {
+            slackId,
+            amount: orderAmounts[slackId],
+          };
+        } else {
+          return memo;
+        }
+      }, { amount: 0 });
 
-    return { user };
-  } catch (e) {
-    logger.error(e);
-    // Most likely a timeout
-    return {
-      retry: true,
-      errors: [e.toString()],
-    };
+      return {
+        retry: false,
+        errors: [`Order exceeded budget by $${amountDue}. ${Slack.atUser(maxOrder.slackId)}'s order is the highest at $${maxOrder.amount.toFixed(2)}.`],
+      };
+    }
   }
 };
 
+/**
+ * Chooses the callee for the given orders (see chooseCallee) and enters their
+ * info. Returns the user that was selected
+ */
+const fillCallee = async (provider, orders) => {
+  const user = await Users.getUser(await chooseCallee(orders));
+  const output = await provider.fillCallee(user);
+  return output && output.errors ? output : { user };
+};
+
 /********************************** Helpers ***********************************/
 
 /**
@@ -464,39 +362,39 @@ const NOT_ALPHAN_REGEX = /[\W_]+/g;
 const sanitizeFilename = n => n.replace(NOT_ALPHAN_REGEX, "_").replace(/^_+|_+$/g, "").toLowerCase();
 
 /**
- * Given a page at the add items stage, returns the current food/beverages total
+ * Archives each participant's part of an order, whether or not it succeeded
  */
-const totalSelector = "div#OrderTotals table tbody tr:not(.noline):not(.subtotal) td:not(.main)";
-const foodBevTotal = async (page) => {
-  const textTotal = await page.$eval(totalSelector, e => e.innerText);
-  return parseFloat(textTotal.substring(1));
-}
-
-/**
- * Returns the order time as an ISO string
- */
-const timeToString = () => {
-  const now = new Date();
-  now.setHours(Math.floor(ORDER_TIME / 100), ORDER_TIME % 100, 0, 0);
-  return now.toISOString();
+const recordHistory = async (orders, participants, restaurant, orderResult) => {
+  const date = Transform.dateKey();
+  await Promise.all(participants.map(async ({ slackId, username }) => {
+    const items = orders.find(o => o.slackId === slackId).items;
+    const amount = orderResult.orderAmounts && orderResult.orderAmounts[slackId] !== undefined
+      ? orderResult.orderAmounts[slackId]
+      : items.reduce((m, i) => m + i.subtotal, 0);
+    return History.recordOrder({
+      date,
+      slackId,
+      username,
+      restaurant,
+      items,
+      amount,
+      successful: !orderResult.errors,
+    });
+  }));
 };
 
 /**
- * Finds the given item in the given array of links and clicks it
+ * Chooses who Grubhub will call for the given orders. A volunteer is always
+ * chosen if there is one, otherwise whoever has received the fewest calls so far
+ * (ties are broken randomly).
  */
-const clickItem = async (page, item, links) => {
-  let clicked = false;
-  for (const anchor of links) {
-    const text = await page.evaluate(e => e.innerText.trim(), anchor);
-    if (text === item) {
-      await anchor.click();
-      clicked = true;
-      break;
-    }
-  }
-  if (clicked) {
-    await page.waitForSelector("div.s-dialog-body", { timeout: 20000 });
-  } else {
-    throw new Error(`Couldn't find ${item}, possibly removed?`);
-  }
+const chooseCallee = async (orders) => {
+  const participants = orders.filter(o => !o.isDonor);
+  const volunteer = participants.find(o => o.isVolunteer);
+  if (volunteer) return volunteer.slackId;
+
+  const calls = await Promise.all(participants.map(o => Stats.getCallsForUser(o.slackId)));
+  const fewestCalls = Math.min(...calls);
+  const slackIds = participants.filter((o, i) => calls[i] === fewestCalls).map(o => o.slackId);
+  return slackIds[Math.floor(Math.random() * slackIds.length)];
 };
@@ -0,0 +1,403 @@
+/**
+ * Grubhub ordering provider
+ *
+ * Drives grubhub.com with a headless browser. See providers/index.js for what
+ * each step does.
+ */
+
+const fs = require("fs");
+const puppeteer = require("puppeteer");
+const Transform = require("../util/transform");
+const logger = require("../logger")("grubhub");
+
+const priv = require("../private");
+
+const URLS = {
+  login: "https://www.grubhub.com/login",
+  setupRest: "https://www.grubhub.com/lets-eat",
+};
+
+module.exports.create = () => {
+  let browser;
+  let page;
+
+  return {
+    start: async () => {
+      browser = await puppeteer.launch({
+        executablePath: "/usr/bin/chromium-browser",
+      });
+      page = await browser.newPage();
+    },
+    login: () => loginToGrubhub(page),
+    setupRestaurant: (restaurant, orderTime) => setupRestaurant(page, restaurant, orderTime),
+    fillCart: cart => fillCart(page, cart),
+    fillAllocations: participants => fillAllocations(page, participants),
+    setTip: tip => setTip(page, tip),
+    fillCallee: user => fillCallee(page, user),
+    submit: (confirmationPath, dryRun) => submit(page, confirmationPath, dryRun),
+
+    // Give Grubhub a break
+    pause: () => page.waitFor(5000),
+    capture: path => capture(page, path),
+    close: async () => {
+      if (browser) await browser.close();
+    },
+  };
+};
+
+/**
+ * Logs the given page into Grubhub
+ */
+const loginToGrubhub = async (page) => {
+  await page.goto(URLS.login);
+
+  await page.$eval("input[name=\"email\"]", (e, v) => e.value = v, priv.username);
+  await page.$eval("input[name=\"password\"]", (e, v) => e.value = v, priv.password);
+
+  await page.click("form.signInForm button");
+  await page.waitForNavigation();
+};
+
+const setupRestaurant = async (page, restaurant, orderTime) => {
+  logger.info("Visiting restaurant");
+  try {
+    await page.goto(URLS.setupRest);
+    await page.waitFor(3000);
+
+    // Time
+    await page.click("div.whenForSelector-btn");
+    await page.waitFor("section.s-dialog-body");
+    await page.waitFor(300);
+
+    await page.select("section.s-dialog-body select", timeToString(orderTime));
+    await page.waitFor(500);
+    await page.click("section.s-dialog-body button");
+    await page.waitFor(500);
+
+    // Restaurant
+    await page.click("div.startOrder-search-input input");
+    await page.waitFor(300);
+    await page.click("div.navbar-menu-search input");
+    await page.keyboard.type(restaurant);
+    await page.waitFor("div.ghs-autocompleteResult-container");
+    await page.waitFor(1000);
+    await page.click("div.ghs-autocompleteResult-container:first-child");
+
+    // Wait for items to appear
+    await page.waitFor(() => document.querySelectorAll("div.menuItem").length > 0);
+    await page.waitFor(1000);
+  } catch (e) {
+    logger.error(e);
+    if (e instanceof TypeError) {
+      // Couldn't find restaurant containing given text
+      return {
+        retry: false,
+        errors: ["Restaurant does not exist or is closed at this time."],
+      };
+    } else {
+      // Most likely a timeout, should retry
+      return {
+        retry: true,
+        errors: [failureMessage(e, "setupRestaurant")],
+        exception: e.toString(),
+      };
+    }
+  }
+};
+
+/**
+ * Given a page at the order stage, this function will add the given cart (see
+ * providers/index.js) to the order and check out.
+ */
+const fillCart = async (page, cart) => {
+  logger.info("Inputting items");
+  const orderAmounts = {};
+  let item;
+  try {
+    // Clear existing cart first
+    const hasCart = await page.$eval("button.ghs-toggleCart", e => e.className.includes("withItems"));
+    if (hasCart) {
+      await page.click("button.ghs-toggleCart");
+      await page.waitFor(500);
+      const isEmpty = !!(await page.$("div.cart-error-emptyCart"));
+      const otherCart = !!(await page.$("button.ghs-deleteCart"));
+      if (otherCart) {
+        await page.click("button.ghs-deleteCart");
+        await page.waitFor(500);
+      } else if (!isEmpty) {
+        await page.click("button.ghs-confirmClearCart");
+        await page.waitFor(500);
+        await page.click("button.ghs-confirmChange");
+        await page.waitFor(500);
+      }
+      await page.click("button.ghs-toggleCart");
+      await page.waitFor(2500);
+    }
+
+    const itemLinks = await page.$$("div.menuSection:not(.restaurant-order-history):not(.restaurant-favoriteItems) div.menuItemNew-name a");
+
+    for (const { slackId, items } of cart) {
+      // Record for stats
+      orderAmounts[slackId] = 0;
+      for (const { name, options, quantity, instructions } of items) {
+        item = name;
+
+        // Click menu item
+        if (!(await clickItem(page, name, itemLinks))) {
+          return {
+            retry: false,
+            errors: [`${name} is no longer on the menu.`],
+            item,
+          };
+        }
+        await page.waitFor(200);
+
+        // Select options
+        const optionLinks = await page.$$("span.menuItemModal-choice-option-description");
+        for (const opt of options) {
+          for (const input of optionLinks) {
+            const optionText = await page.evaluate(e => e.innerText, input);
+            if (Transform.parseOption(optionText).name === opt) {
+              await input.click();
+              break;
+            }
+          }
+        }
+
+        // Input comments
+        const commentSelector = "textarea.menuItemModal-special-instructions-textarea";
+        const hasComments = await page.$(commentSelector);
+        if (hasComments && instructions) {
+          await page.click(commentSelector);
+          await page.keyboard.type(instructions);
+          await page.waitFor(500);
+        }
+
+        // Record for stats, using the price for a single item
+        const price = await page.$eval("h5.menuItemModal-price", e => parseFloat(e.innerText.substring(1)));
+        orderAmounts[slackId] += price * quantity;
+
+        // Input quantity
+        if (quantity > 1) {
+          const quantityInput = await page.$("div.menuItemModal-quantity input");
+          await quantityInput.click({ clickCount: 3 });
+          await quantityInput.type(quantity.toString());
+          await page.waitFor(500);
+        }
+
+        // Click add to order
+        await page.click("footer.s-dialog--complex-footer button");
+        await page.waitFor(() => !document.querySelector("div.s-dialog-body"));
+        await page.waitFor(1000);
+      }
+    }
+  } catch (e) {
+    logger.error(e);
+    // Most likely a timeout, or we didn't wait long enough
+    return {
+      retry: true,
+      errors: [failureMessage(e, "fillCart")],
+      exception: e.toString(),
+      item,
+    };
+  }
+
+  const warningMessages = await page.$$("div.u-text-warning");
+  if (warningMessages.length > 0) {
+    return {
+      retry: false,
+      errors: ["Delivery minimum not met."],
+    };
+  }
+
+  try {
+    await page.click("button#ghs-cart-checkout-button");
+    await page.waitForNavigation();
+    await page.waitFor(2000);
+    return { orderAmounts };
+  } catch (e) {
+    logger.error(e);
+    // Most likely a timeout
+    return {
+      retry: true,
+      errors: [failureMessage(e, "fillCart")],
+      exception: e.toString(),
+    };
+  }
+};
+
+/**
+ * Given a page at the checkout stage, this function will split the order
+ * between the given participants, and return the amount due over their
+ * allocations
+ */
+const fillAllocations = async (page, participants) => {
+  logger.info("Inputting names");
+
+  try {
+    // Grubhub added an intermediate "review order" page
+    await page.click("button#ghs-cart-checkout-button");
+    await page.waitForNavigation();
+
+    // Enable split with coworkers
+    await page.waitFor("label[for=\"showAllocations\"]");
+    await page.click("label[for=\"showAllocations\"]");
+    await page.waitFor(200);
+
+    for (const { slackId, name } of participants) {
+      // The account's own allocation is already there
+      if (slackId === priv.mySlackId) continue;
+
+      await page.click("div.allocations-fields-container > div > input");
+      await page.keyboard.type(name);
+
+      await page.waitFor(4000);
+      await page.click("div.allocations-autocomplete-dropdown div.s-row");
+      await page.waitFor(5000);
+    }
+
+    if (!participants.some(p => p.slackId === priv.mySlackId)) {
+      // Clear my allocation if I'm not in the order
+      await page.click("div.allocations-fields-container table tr:last-of-type td.u-text-right button");
+      const myAllocation = await page.$("div.allocations-fields-container table tr:last-of-type td.u-text-secondary input");
+      await myAllocation.click({ clickCount: 3 });
+      await myAllocation.type("0");
+      await page.click("div.allocations-fields-container table tr:last-of-type td.u-text-right button");
+      await page.waitFor(2000);
+    }
+
+    const amountDue = await page.$eval("div.amount-due h6.lineItem-amount", e => Number(e.innerText.trim().substring(1)));
+    const tip = amountDue > 0
+      ? await page.$eval("div.lineItems div.tip div.lineItem-amount", e => Number(e.innerText.trim().substring(1)))
+      : 0;
+    return { amountDue, tip };
+  } catch (e) {
+    logger.error(e);
+    return {
+      retry: true,
+      errors: [`Order failed for unknown reason.`],
+    };
+  }
+};
+
+const setTip = async (page, tip) => {
+  try {
+    await page.click("div.tipEntryButton-customTip button");
+    const tipInput = await page.$("input#customTipAmount");
+    await tipInput.click({ clickCount: 3 });
+    await tipInput.type(tip.toFixed(2));
+    await page.click("h4");
+    await page.waitFor(4000);
+  } catch (e) {
+    logger.error(e);
+    return {
+      retry: true,
+      errors: [`Order failed for unknown reason.`],
+    };
+  }
+};
+
+/**
+ * Given a page at the checkout page, fills out the name and phone number of
+ * the given user
+ */
+const fillCallee = async (page, user) => {
+  logger.info("Inputting phone number");
+  try {
+
+    // Eco-friendly order!
+    const shouldClick = await page.$eval("div[at-delivery-instructions-toggle=\"true\"] use", e => e.getAttribute("href"));
+    if (shouldClick === "#plus") await page.click("div[at-delivery-instructions-toggle=\"true\"]");
+    await page.click("label[for=\"ghs-checkout-green\"]");
+
+    // Click on change info button
+    await page.waitFor(2000);
+    await page.click("a.ghs-link-edit-info");
+
+    // Input name + phone and continue
+    await page.$eval("input.ghs-firstNameField", (e, v) => e.value = v, user.name.split(" ")[0]);
+    await page.$eval("input.ghs-lastNameField", (e, v) => e.value = v, user.name.split(" ")[1]);
+    await page.$eval("input.ghs-accountPhone", (e, v) => e.value = v, user.phone);
+    await page.click("button#ghs-checkout-gather-submit");
+    await page.waitFor(2000);
+  } catch (e) {
+    logger.error(e);
+    // Most likely a timeout
+    return {
+      retry: true,
+      errors: [failureMessage(e, "fillCallee")],
+      exception: e.toString(),
+    };
+  }
+};
+
+/**
+ * Submits the order, or just checks that it could be submitted on a dry run,
+ * and saves the page as the confirmation
+ */
+const submit = async (page, confirmationPath, dryRun) => {
+  await page.waitFor(2000);
+  if (dryRun) {
+    await page.waitForSelector("button#ghs-checkout-review-submit", { timeout: 1000 });
+    await page.pdf({ path: confirmationPath });
+  } else {
+    await page.click("button#ghs-checkout-review-submit");
+    await page.waitForNavigation();
+    await page.pdf({ path: confirmationPath });
+  }
+};
+
+/**
+ * Saves a screenshot and the HTML of the given page
+ */
+const capture = async (page, path) => {
+  if (!page) return {};
+  await page.screenshot({ path: `${path}.png`, fullPage: true });
+  fs.writeFileSync(`${path}.html`, await page.content(), "utf8");
+  return { screenshot: true, snapshot: true };
+};
+
+/********************************** Helpers ***********************************/
+
+/**
+ * Given a page at the add items stage, returns the current food/beverages total
+ */
+const totalSelector = "div#OrderTotals table tbody tr:not(.noline):not(.subtotal) td:not(.main)";
+const foodBevTotal = async (page) => {
+  const textTotal = await page.$eval(totalSelector, e => e.innerText);
+  return parseFloat(textTotal.substring(1));
+}
+
+/**
+ * Returns the given order time as an ISO string
+ */
+const timeToString = (orderTime) => {
+  const now = new Date();
+  now.setHours(Math.floor(orderTime / 100), orderTime % 100, 0, 0);
+  return now.toISOString();
+};
+
+/**
+ * Finds the given item in the given array of links and clicks it. Returns
+ * false if it isn't there
+ */
+const clickItem = async (page, item, links) => {
+  let clicked = false;
+  for (const anchor of links) {
+    const text = await page.evaluate(e => e.innerText.trim(), anchor);
+    if (text === item) {
+      await anchor.click();
+      clicked = true;
+      break;
+    }
+  }
+  if (clicked) await page.waitForSelector("div.s-dialog-body", { timeout: 20000 });
+  return clicked;
+};
+
+/**
+ * Describes an exception thrown during the given step, for Slack
+ */
+const failureMessage = (e, step) => {
+  return e instanceof puppeteer.errors.TimeoutError ? `Timed out at \`${step}\`.` : `Failed at \`${step}\`.`;
+};
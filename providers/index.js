@@ -0,0 +1,72 @@
+/**
+ * Ordering providers
+ *
+ * perform_grubhub.js decides what to order and who pays, and a provider enters
+ * it into a storefront. The provider is chosen with "provider" in private.json
+ * (or --provider= on the command line):
+ *   "grubhub" (default)  Grubhub, through a headless browser
+ *   "mock"               A local storefront backed by the scraped menus, which
+ *                        behaves like Grubhub but never leaves the machine
+ *
+ * A provider is created with create(), and has these functions:
+ *   start()                          Gets the storefront ready, e.g. opens a
+ *                                    browser
+ *   login()                          Logs into the company account
+ *   setupRestaurant(name, time)      Opens the restaurant for delivery at the
+ *                                    given time (e.g. 1730)
+ *   fillCart(cart)                   Adds every item in the cart (see below),
+ *                                    and returns { orderAmounts } with the
+ *                                    amount for each Slack ID
+ *   fillAllocations(participants)    Splits the order between the given
+ *                                    [{ slackId, name }], and returns
+ *                                    { amountDue, tip }, where amountDue is
+ *                                    what's left over the allocations
+ *   setTip(tip)                      Changes the tip to the given amount
+ *   fillCallee(user)                 Enters the name and phone number of the
+ *                                    user who will get the call
+ *   submit(path, dryRun)             Places the order, unless dryRun is set,
+ *                                    and saves a PDF confirmation to path
+ *   pause()                          Waits between restaurants
+ *   capture(path)                    Saves what the storefront is showing, to
+ *                                    diagnose a failed order: a screenshot to
+ *                                    path.png and the page's HTML to
+ *                                    path.html. Returns { screenshot,
+ *                                    snapshot }, saying which were saved
+ *   close()                          Cleans up
+ *
+ * Each step returns { retry, errors } if it fails, where retry says whether
+ * starting the restaurant over could help. Errors are shown in Slack, so any
+ * underlying error goes in exception instead, which is only saved to the
+ * trace. fillCart also returns the name of the item it failed on, as item.
+ *
+ * The cart passed to fillCart has this form:
+ *   [
+ *     {
+ *       slackId: "bobby",
+ *       items: [
+ *         {
+ *           name: "dish1",
+ *           options: ["option 1", "option 2"],
+ *           quantity: 1,
+ *           instructions: "Please label for Bobby!",
+ *         },
+ *         ...
+ *       ],
+ *     },
+ *     ...
+ *   ]
+ */
+
+const priv = require("../private");
+
+const PROVIDERS = ["grubhub", "mock"];
+
+/**
+ * Returns the provider with the given name, by default the one in private.json
+ */
+module.exports.create = (name = priv.provider || "grubhub") => {
+  if (!PROVIDERS.includes(name)) throw new Error(`Unknown ordering provider ${name}`);
+
+  // Only load providers that are used, since Grubhub needs Puppeteer
+  return require(`./${name}`).create();
+};
@@ -0,0 +1,199 @@
+/**
+ * Mock ordering provider
+ *
+ * A local storefront that behaves like Grubhub, so the whole ordering run can
+ * be tried without placing (or even simulating) a real order. Restaurants and
+ * prices come from the scraped menus, and like Grubhub it:
+ *   - Refuses restaurants that it has no menu for
+ *   - Won't add an item without exactly one choice from each required option set
+ *   - Won't check out under the delivery minimum
+ *   - Charges tax, a delivery fee and a tip, and gives each participant an
+ *     allocation of the budget in settings, leaving anything over as due
+ *
+ * Confirmations are simple PDFs listing the order. Nothing is ever sent
+ * anywhere.
+ */
+
+const fs = require("fs");
+const Menu = require("../models/menu");
+const Settings = require("../models/settings");
+const Transform = require("../util/transform");
+const logger = require("../logger")("mock");
+
+const TAX_RATE = 0.08625;
+const DELIVERY_FEE = 1.99;
+const DEFAULT_TIP_RATE = 0.1;
+
+module.exports.create = () => {
+  let order;
+
+  return {
+    start: async () => {},
+    login: async () => {
+      logger.info("Logged into mock storefront");
+    },
+    setupRestaurant: async (restaurant, orderTime) => {
+      logger.info("Visiting restaurant");
+      order = null;
+      const menu = await Menu.getMenu(restaurant);
+      if (!menu || !menu.items || menu.items.length === 0) {
+        return {
+          retry: false,
+          errors: ["Restaurant does not exist or is closed at this time."],
+        };
+      }
+      order = { menu, orderTime, lines: [], participants: [], tip: 0 };
+    },
+    fillCart: async (cart) => {
+      logger.info("Inputting items");
+      const orderAmounts = {};
+      for (const { slackId, items } of cart) {
+        orderAmounts[slackId] = 0;
+        for (const { name, options, quantity, instructions } of items) {
+          const item = order.menu.items.find(i => i.name === name);
+          if (!item) return { retry: false, errors: [`${name} is no longer on the menu.`], item: name };
+
+          const { chosen, missing } = chooseOptions(item, options);
+          if (missing) return { retry: false, errors: [`${name} needs a choice of ${missing}.`], item: name };
+
+          const price = chosen.reduce((m, o) => m + (o.price || 0), item.price || 0);
+          orderAmounts[slackId] += price * quantity;
+          order.lines.push({ slackId, name, options: chosen.map(o => o.name), quantity, price, instructions });
+        }
+      }
+
+      order.subtotal = round(order.lines.reduce((m, l) => m + l.price * l.quantity, 0));
+      if (order.subtotal < (order.menu.minimum || 0)) {
+        return {
+          retry: false,
+          errors: ["Delivery minimum not met."],
+        };
+      }
+
+      order.tip = round(order.subtotal * DEFAULT_TIP_RATE);
+      return { orderAmounts };
+    },
+    fillAllocations: async (participants) => {
+      logger.info("Inputting names");
+      const { budget } = await Settings.getSettings();
+      order.participants = participants;
+      order.allocated = participants.length * budget;
+      return { amountDue: amountDue(order), tip: order.tip };
+    },
+    setTip: async (tip) => {
+      order.tip = round(tip);
+    },
+    fillCallee: async (user) => {
+      logger.info("Inputting phone number");
+      if (!user.phone) {
+        return {
+          retry: false,
+          errors: [`${user.name} doesn't have a phone number to call.`],
+        };
+      }
+      order.callee = user;
+    },
+    submit: async (confirmationPath, dryRun) => {
+      // Like Grubhub's submit button, which stays disabled until the order
+      // is paid for and has someone to call
+      if (!order.callee || order.allocated === undefined || amountDue(order) > 0) {
+        throw new Error("Order isn't ready to submit");
+      }
+      writePdf(confirmationPath, confirmationLines(order, dryRun));
+      if (!dryRun) logger.info(`Mock order placed at ${order.menu.name}`);
+    },
+    pause: async () => {},
+    capture: async (path) => {
+      // There's no page to take a screenshot of, so the snapshot is just
+      // the order so far
+      fs.writeFileSync(`${path}.html`, snapshotHtml(order), "utf8");
+      return { screenshot: false, snapshot: true };
+    },
+    close: async () => {},
+  };
+};
+
+/********************************** Helpers ***********************************/
+
+const round = n => Math.round(n * 100) / 100;
+
+const totals = ({ subtotal, tip }) => {
+  const tax = round(subtotal * TAX_RATE);
+  return { subtotal, tax, deliveryFee: DELIVERY_FEE, tip, total: round(subtotal + tax + DELIVERY_FEE + tip) };
+};
+
+const amountDue = order => Math.max(0, round(totals(order).total - order.allocated));
+
+/**
+ * Returns the menu options for the given option names, and the description of
+ * a required option set that has no choice. Required sets are radio buttons, so
+ * the last choice in a set wins.
+ */
+const chooseOptions = (item, names) => {
+  const chosen = [];
+  let missing;
+  (item.optionSets || []).forEach((set) => {
+    const inSet = set.options.filter(o => names.includes(o.name));
+    if (set.required) {
+      if (inSet.length === 0 && !missing) missing = set.description || "option";
+      chosen.push(...inSet.slice(-1));
+    } else {
+      chosen.push(...inSet);
+    }
+  });
+  return { chosen, missing };
+};
+
+const confirmationLines = (order, dryRun) => {
+  const { subtotal, tax, deliveryFee, tip, total } = totals(order);
+  const names = order.participants.reduce((m, p) => Object.assign(m, { [p.slackId]: p.name }), {});
+  return [
+    `${order.menu.name} - mock order${dryRun ? " (dry run, not submitted)" : ""}`,
+    `Delivery at ${Transform.formatTime(order.orderTime)}, call ${order.callee.name} at ${order.callee.phone}`,
+    "",
+    ...order.lines.map((l) => {
+      const options = l.options.length > 0 ? ` (${l.options.join(", ")})` : "";
+      return `${l.quantity} x ${l.name}${options} for ${names[l.slackId] || l.slackId}: $${(l.price * l.quantity).toFixed(2)}`;
+    }),
+    "",
+    `Subtotal $${subtotal.toFixed(2)}, tax $${tax.toFixed(2)}, delivery $${deliveryFee.toFixed(2)}, tip $${tip.toFixed(2)}`,
+    `Total $${total.toFixed(2)}, allocated $${order.allocated.toFixed(2)}`,
+  ];
+};
+
+const snapshotHtml = (order) => {
+  const escapeHtml = s => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const rows = order
+    ? order.lines.map(l => `<li>${escapeHtml(`${l.quantity} x ${l.name} for ${l.slackId}: $${(l.price * l.quantity).toFixed(2)}`)}</li>`)
+    : [];
+  const title = order ? escapeHtml(order.menu.name) : "No restaurant";
+  return `<html><body><h1>${title} - mock order</h1><ul>${rows.join("")}</ul></body></html>\n`;
+};
+
+/**
+ * Writes a one page PDF with the given lines of text
+ */
+const writePdf = (path, lines) => {
+  const escapePdf = s => s.replace(/[^\x20-\x7e]/g, "?").replace(/([\\()])/g, "\\$1");
+  const text = lines.slice(0, 48).map(l => `(${escapePdf(l)}) Tj T*`).join("\n");
+  const content = `BT /F1 11 Tf 14 TL 54 740 Td\n${text}\nET`;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  fs.writeFileSync(path, pdf, "latin1");
+};
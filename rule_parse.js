@@ -0,0 +1,361 @@
+/**
+ * Rule-based intent parser
+ *
+ * Understands the commands in COMMANDS.md without any network calls, and
+ * resolves with the same command names and arguments as df_parse.js. Restaurant
+ * names are matched against the menu collection.
+ */
+
+const Menu = require("./models/menu");
+const RestaurantNames = require("./util/restaurant_names");
+const Transform = require("./util/transform");
+
+const PREPOSITIONS = ["from", "at", "for", "to"];
+
+// Dates that Transform.parseDate understands (with future set), so calendar
+// rules don't match things like "close the poll"
+const DATE = "(today|tomorrow|(?:next |this )?(?:sun|mon|tue|wed|thu|fri|sat)[a-z]*|\\d{1,2}/\\d{1,2}(?:/\\d{4}|/\\d{2})?|\\d{4}-\\d{2}-\\d{2}|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.? \\d{1,2}(?:st|nd|rd|th)?(?:,? \\d{4})?)";
+const CHANGE_DAY_SETTINGS = "(cutoff(?: time)?|delivery time|open(?:ing)? time|dry run time|poll deadline)";
+
+/**
+ * Each rule has a regex that is matched against the input (with any trailing
+ * restaurant removed), and a function that returns the arguments from the
+ * match. Rules are tried in order, so more specific rules come first.
+ */
+const RULES = [
+  {
+    command: "Help",
+    regex: /^(help|what can you do|how does this work)$/i,
+  },
+  {
+    command: "Announce",
+    regex: /^(announce|food'?s here|(the )?food is here)$/i,
+  },
+  {
+    command: "Unvolunteer",
+    regex: /^(never ?mind|nvm|unvolunteer|i can'?t take the call( anymore)?|i can no longer take the call)$/i,
+  },
+  {
+    command: "Volunteer",
+    regex: /^(i'?ll|i will|let me|i can) ((take|get) the call|pick (it |the food )?up|pick up( the food)?)$/i,
+  },
+  {
+    command: "Forget",
+    regex: /^(forget|remove|delete|clear|cancel)( my)? ?(info|information|favou?rite|fav|order|diet|allergies|dietary restrictions)?$/i,
+    args: (m) => {
+      let forgetWhat = (m[3] || "").toLowerCase();
+      if (forgetWhat === "information") forgetWhat = "info";
+      if (forgetWhat.startsWith("favo")) forgetWhat = "favorite";
+      if (forgetWhat === "allergies" || forgetWhat === "dietary restrictions") forgetWhat = "diet";
+      return { "forget-what": forgetWhat };
+    },
+  },
+  {
+    command: "Forget",
+    regex: /^(forget|remove|delete) (my )?(favou?rite|fav) (.+)$/i,
+    args: m => ({ "forget-what": "favorite", name: m[4] }),
+  },
+  {
+    command: "Forget",
+    regex: /^(forget|remove|delete) (my )?(.+?) (favou?rite|fav)$/i,
+    args: m => ({ "forget-what": "favorite", name: m[3] }),
+  },
+  {
+    command: "Add Nickname",
+    regex: /^(add|create|save)( a| the)? (nickname|alias) (.+)$/i,
+    args: m => ({ nickname: m[4] }),
+  },
+  {
+    command: "Remove Nickname",
+    regex: /^(remove|delete|forget)( the)? (nickname|alias) (.+)$/i,
+    args: m => ({ nickname: m[4] }),
+  },
+  {
+    command: "List Nicknames",
+    regex: /^(list|show|get|what are)( me)?( the| all)? (nicknames|aliases)$/i,
+  },
+  {
+    command: "Get Settings",
+    regex: /^(show|get|list|what are)( me)?( the)?( current)? settings$/i,
+  },
+  {
+    command: "Change Day",
+    regex: new RegExp(`^(?:set|change|move|make) (?:the )?${CHANGE_DAY_SETTINGS} (?:on|for) ${DATE} (?:to|as|=) (.+)$`, "i"),
+    args: m => ({ setting: m[1], date: m[2], value: m[3] }),
+  },
+  {
+    command: "Change Day",
+    regex: new RegExp(`^(?:set|change|move|make) (?:the )?${CHANGE_DAY_SETTINGS} (?:to|as|=) (.+?) (?:on|for) ${DATE}$`, "i"),
+    args: m => ({ setting: m[1], value: m[2], date: m[3] }),
+  },
+  {
+    command: "Close Day",
+    regex: new RegExp(`^(?:close|be closed|is closed|will be closed)(?: on)? ${DATE}(?: (?:for|because of) (.+))?$`, "i"),
+    args: m => ({ date: m[1], reason: m[2] || "" }),
+  },
+  {
+    command: "Reset Day",
+    regex: new RegExp(`^(?:open|reopen|reset|undo changes|clear changes|cancel changes)(?: on| to| for)? ${DATE}(?: to the usual schedule)?$`, "i"),
+    args: m => ({ date: m[1] }),
+  },
+  {
+    command: "Show Calendar",
+    regex: /^(?:(?:show|get|list|what'?s on|what are)(?: me)?(?: the)? )?(?:calendar|closures|closed days|upcoming closures|holidays|schedule changes)$/i,
+  },
+  {
+    command: "Change Setting",
+    regex: /^(set|change|update|make|turn) (the )?(cutoff( time)?|delivery time|budget|admins?|poll( deadline| winners| mode)?|(open|opening|dry run|daily tasks|scrape) time|scrape day) (to|as|=|) ?(.+)$/i,
+    args: m => ({ setting: m[3], value: m[8] }),
+  },
+  {
+    command: "List Jobs",
+    regex: /^((show|list|get)( me)?( the)?( scheduled)? jobs|job status)$/i,
+  },
+  {
+    command: "Run Job",
+    regex: /^(run|start|trigger)( the)?( job)? (open|close poll|dry run|order|daily tasks|scrape again|scrape)( job)?( now)?$/i,
+    args: m => ({ job: m[4] }),
+  },
+  {
+    command: "Set Info",
+    regex: /^(?:remember|save|i am|i'?m) (?:me as )?([a-z'\-]+) ([a-z'\- ]+?),? (\+?[0-9\-() .]{7,})$/i,
+    args: m => ({ "given-name": m[1], "last-name": m[2], "phone-number": m[3] }),
+  },
+  {
+    command: "Set Info",
+    regex: /^(?:set )?my name (?:to|is) ([a-z'\-]+) ([a-z'\- ]+?),? and my (?:phone )?number (?:to|is) (\+?[0-9\-() .]{7,})$/i,
+    args: m => ({ "given-name": m[1], "last-name": m[2], "phone-number": m[3] }),
+  },
+  {
+    command: "Set Diet",
+    regex: /^(?:i'?m|i am)( also)? (.*\b(vegetarian|veggie|vegan|pesc[ae]tarian|gluten[- ]free|dairy[- ]free|celiac|lactose intolerant|halal|kosher|allergic to)\b.*)$/i,
+    args: m => ({ diet: m[2], also: !!m[1] }),
+  },
+  {
+    command: "Set Diet",
+    regex: /^(?:set |save )?my (diet|allergies|dietary restrictions) (?:to|are|is|as) (.+)$/i,
+    args: m => ({ diet: /^allergies$/i.test(m[1]) ? `allergic to ${m[2]}` : m[2] }),
+  },
+  {
+    command: "Set Favorite",
+    regex: /^(set|save|make) (my )?(favou?rite|fav)( order)? (to|as) (.+)$/i,
+    args: m => ({ order: m[6] }),
+  },
+  {
+    command: "Set Favorite",
+    regex: /^(set|save|make) my (.+?) (favou?rite|fav)( order)? (to|as) (.+)$/i,
+    args: m => ({ name: m[2], order: m[6] }),
+  },
+  {
+    command: "Set Favorite",
+    regex: /^(save|remember|set|make) (this|that|it|my order|today'?s order|this order) (as|my) (my |a )?(.+?)( favou?rite)?$/i,
+    args: m => ({ name: m[5] }),
+  },
+  {
+    command: "Vote",
+    regex: /^(i )?vote( for)?( (.+))?$/i,
+    args: m => (m[4] ? { restaurant: m[4] } : {}),
+  },
+  {
+    command: "Poll Results",
+    regex: /^((show|show me|get|what are|what'?s|how'?s)( the)?( today'?s)? (poll|poll results|results|votes)|poll results|who'?s winning( the poll)?)$/i,
+  },
+  {
+    command: "Order History",
+    regex: /^(what did i (order|have|eat|get)|what was my order)( on| from)? (?!today$)(.+)$/i,
+    args: m => dateArgs(m[4]),
+  },
+  {
+    command: "Order History",
+    regex: /^((show|show me|get|list) )?(my )?(order )?history( for (.+))?$/i,
+    args: m => dateArgs(m[6]),
+  },
+  {
+    command: "Reorder",
+    regex: /^(reorder|order again|repeat)( my)?( last)?( order| what i (had|ordered))?( from| on)?( (.+?))?( order)?$/i,
+    args: m => dateArgs(m[8]),
+  },
+  {
+    command: "Get",
+    regex: /^(what'?s|what is|show|show me|get|tell me) (my )?(info|information)$/i,
+    args: () => ({ "get-what": "info" }),
+  },
+  {
+    command: "Get",
+    regex: /^(what'?s|what is|show|show me|get|what did i order)( my)?( current)?( order)?( today)?$/i,
+    args: () => ({ "get-what": "order" }),
+  },
+  {
+    command: "Stats",
+    regex: /^((show|show me|get|what'?s)( the)? (call )?leaderboard|who'?s (taken|gotten|had) the most calls|(what are )?the most popular restaurants)$/i,
+    args: () => ({ "stats-type": "global" }),
+  },
+  {
+    command: "Stats",
+    regex: /^how much (did|have|has) (i|we|everyone|the team) (spend|spent)$/i,
+    args: m => /we|everyone|team/i.test(m[2]) ? { "stats-type": "global" } : {},
+  },
+  {
+    command: "Stats",
+    regex: /^.*\b(stats|statistics)\b.*$/i,
+    args: m => /global|everyone|overall|team|all/i.test(m[0]) ? { "stats-type": "global" } : {},
+  },
+  {
+    command: "List Orders",
+    regex: /^((list|show)( me)?( today'?s| the| all)? orders|which restaurants have orders( today)?|who'?s ordering( today)?)$/i,
+  },
+  {
+    command: "List Restaurants",
+    regex: /^((list|show)( me)?( the| all)? restaurants|which restaurants can i order( from)?|where can i order)$/i,
+  },
+  {
+    command: "Get Menu",
+    regex: /^(show|get|give|see)( me)?( page (\d+) of)?( the)? menu$/i,
+    args: m => ({ page: m[4] || "" }),
+  },
+  {
+    command: "Get Item",
+    regex: /^(what are|show|show me|list|get)( the)? options (for|on) (.+)$/i,
+    args: m => ({ item: m[4] }),
+  },
+  {
+    command: "Search Menu",
+    regex: /^(search|look|find|who has|where can i get)( for)? (.+)$/i,
+    args: m => ({ query: m[3] }),
+  },
+  {
+    command: "Change Item",
+    regex: /^(change|swap|switch|replace) (the |my )?(.+?) (to|for|with) (.+)$/i,
+    args: m => ({ item: m[3], order: m[5] }),
+  },
+  {
+    command: "Remove Item",
+    regex: /^(remove|delete|drop|take) (the |my |a |an )?(.+?)( from my order| off( of)? my order| off)?$/i,
+    args: m => ({ item: m[3] }),
+  },
+  {
+    command: "Add Item",
+    regex: /^(add|also get me|also order|also) (.+?)( to my order)?$/i,
+    args: m => ({ order: m[2] }),
+  },
+  {
+    command: "Donate",
+    regex: /^(donate|use my money|give my money|put my money)( to| for| towards)?$/i,
+  },
+  {
+    command: "Order Favorite",
+    regex: /^(order|hit me|the usual|order (my )?(favou?rite|fav|usual))$/i,
+  },
+  {
+    command: "Order Favorite",
+    regex: /^(order|get me|i want|i'?ll have) my (favou?rite |fav )?(.+?)( favou?rite| order)?$/i,
+    args: m => ({ name: m[3] }),
+  },
+  {
+    command: "Regular Order",
+    regex: /^(order|get me|i want|i'?d like|can i get|can i have|i'?ll have|give me) (.+)$/i,
+    args: m => ({ order: m[2] }),
+  },
+];
+
+/**
+ * Given the input text, resolves the promise with the parsed command and
+ * arguments, or false if no command matches
+ */
+module.exports = async (text) => {
+  const input = text
+    .trim()
+    .replace(/^(alfred |alfie )/i, "")
+    .replace(/[?!.]+$/, "")
+    .replace(/’/g, "'");
+  const variants = await Menu.getAliases();
+
+  // "show me the newa menu" names the restaurant before the word menu
+  const menuMatch = input.match(/^(?:show|get|give|see)(?: me)?(?: page (\d+) of)?(?: the)? (.+?)(?:'s)? menu$/i);
+  if (menuMatch && variants[RestaurantNames.normalizeName(menuMatch[2])]) {
+    return {
+      command: "Get Menu",
+      args: { restaurant: variants[RestaurantNames.normalizeName(menuMatch[2])], page: menuMatch[1] || "" },
+    };
+  }
+
+  // "reorder my last newa order" names the restaurant before the word order
+  const reorderMatch = input.match(/^reorder(?: my)?(?: last)? (.+?) order$/i);
+  if (reorderMatch && variants[RestaurantNames.normalizeName(reorderMatch[1])]) {
+    return { command: "Reorder", args: { restaurant: variants[RestaurantNames.normalizeName(reorderMatch[1])] } };
+  }
+
+  // Stats can be for a date range, e.g. "my stats from newa this month"
+  const isStats = /\b(stats|statistics|spend|spent|leaderboard)\b/i.test(input);
+  const withoutRange = isStats ? extractDateRange(input) : { rest: input };
+  const { rest: withoutRestaurant, restaurant } = extractRestaurant(withoutRange.rest, variants);
+  const { rest, range } = isStats && !withoutRange.range ? extractDateRange(withoutRestaurant) : {
+    rest: withoutRestaurant,
+    range: withoutRange.range,
+  };
+
+  for (const rule of RULES) {
+    const matches = rest.match(rule.regex);
+    if (matches) {
+      const args = rule.args ? rule.args(matches) : {};
+      if (restaurant) args["restaurant"] = restaurant;
+      if (range) args["date-range"] = range;
+      return { command: rule.command, args };
+    }
+  }
+
+  if (restaurant) {
+    // "show me the appetizers at newa" asks for a section of the menu
+    const sectionMatch = rest.match(/^(?:show|list|see)(?: me)?(?: the)? (.+)$/i);
+    if (sectionMatch) return { command: "Get Menu", args: { restaurant, section: sectionMatch[1] } };
+
+    // Something from a restaurant, e.g. "pad thai from bamboo"
+    return { command: "Regular Order", args: { order: rest, restaurant } };
+  }
+  return false;
+};
+
+/********************************** Helpers ***********************************/
+
+/**
+ * Removes a trailing phrase like "from newa" if it names a restaurant
+ */
+const extractRestaurant = (input, variants) => {
+  const words = input.split(" ");
+  for (let i = 1; i < words.length - 1; i++) {
+    if (!PREPOSITIONS.includes(words[i].toLowerCase())) continue;
+
+    const restaurant = variants[RestaurantNames.normalizeName(words.slice(i + 1).join(" "))];
+    if (restaurant) {
+      return {
+        rest: words.slice(0, i).join(" "),
+        restaurant,
+      };
+    }
+  }
+  return { rest: input };
+};
+
+/**
+ * Removes a trailing phrase like "this month" or "since june" if it's a date
+ * range, keeping the text of the range
+ */
+const extractDateRange = (input) => {
+  const words = input.split(" ");
+  for (let i = 1; i < words.length; i++) {
+    const range = words.slice(i).join(" ");
+    if (Transform.parseDateRange(range)) {
+      return {
+        rest: words.slice(0, i).join(" "),
+        range,
+      };
+    }
+  }
+  return { rest: input };
+};
+
+// Returns the date argument if the given text is a date
+const dateArgs = (text) => {
+  const date = text && Transform.parseDate(text);
+  return date ? { date } : {};
+};
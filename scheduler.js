@@ -0,0 +1,205 @@
+/**
+ * In-process job scheduler
+ *
+ * Runs Alfred's jobs from the server process, at the times in settings (or the
+ * calendar, for days with their own schedule). Each job runs a script as a
+ * child process, like the crontabs that this replaces. Jobs run on workdays
+ * (weekdays that aren't closed in the calendar) unless noted below, and
+ * a job that couldn't start on time (e.g. because the server was restarting)
+ * still runs if it's less than an hour late. Jobs that share a script never
+ * run at the same time. The last run and outcome of each job is kept in the
+ * jobs model, and admins can run jobs by hand from Slack.
+ */
+
+const { spawn } = require("child_process");
+const Jobs = require("./models/jobs");
+const Calendar = require("./models/calendar");
+const Transform = require("./util/transform");
+const logger = require("./logger")("scheduler");
+
+const TICK_MS = 60 * 1000;
+const GRACE_MINUTES = 60;
+const SCRAPE_AGAIN_MINUTES = 120;
+
+/**
+ * Each job has a script (with args) and a time from settings. Jobs with daily
+ * set also run on weekends and closed days, and jobs with a day run once a week
+ * on that day.
+ */
+const JOBS = {
+  "open": {
+    description: "Announces that Alfred is taking orders, and posts the poll",
+    script: "util/open.js",
+    time: s => s.openTime,
+  },
+  "close poll": {
+    description: "Announces the winners of the poll, if it's on",
+    script: "util/close_poll.js",
+    time: s => s.pollDeadline,
+  },
+  "dry run": {
+    description: "Tries to enter the orders without placing them",
+    script: "perform_grubhub.js",
+    args: ["--post"],
+    time: s => s.dryRunTime,
+  },
+  "order": {
+    description: "Places the orders",
+    script: "perform_grubhub.js",
+    args: ["--actual", "--post"],
+    time: s => s.cutoff,
+  },
+  "daily tasks": {
+    description: "Changes the daily password and clears orders and confirmations",
+    script: "util/daily_tasks.js",
+    time: s => s.dailyTasksTime,
+    daily: true,
+  },
+  "scrape": {
+    description: "Scrapes menus",
+    script: "util/scrape_grubhub.js",
+    time: s => s.scrapeTime,
+    day: s => s.scrapeDay,
+  },
+  // The scraper skips restaurants that were scraped recently, so this only
+  // picks up any that the first scrape missed
+  "scrape again": {
+    description: "Scrapes menus that the scrape missed",
+    script: "util/scrape_grubhub.js",
+    time: s => addMinutes(s.scrapeTime, SCRAPE_AGAIN_MINUTES),
+    day: s => s.scrapeDay,
+  },
+};
+
+// Names of running jobs, by script
+const running = {};
+
+/**
+ * Starts checking for jobs to run every minute
+ */
+module.exports.start = () => {
+  logger.info("Scheduler started");
+  const check = () => runDueJobs().catch(err => logger.error(err));
+  check();
+  setInterval(check, TICK_MS);
+};
+
+/**
+ * Runs the job with the given name now. The trigger is "schedule" or the Slack
+ * ID of whoever started it. Resolves with { started: true }, or with
+ * { started: false, busy } if the job (or another job named busy with the same
+ * script) is already running.
+ */
+const run = async (name, trigger) => {
+  const job = JOBS[name];
+  if (running[job.script]) return { started: false, busy: running[job.script] };
+
+  // The script is claimed before anything is awaited, so it can't be started
+  // twice. If the job can't be recorded, it doesn't start.
+  running[job.script] = name;
+  logger.info(`Starting ${name} (${trigger})`);
+  try {
+    await Jobs.startJob(name, trigger);
+  } catch (err) {
+    delete running[job.script];
+    throw err;
+  }
+
+  let finished = false;
+  const finish = async (outcome) => {
+    if (finished) return;
+    finished = true;
+    delete running[job.script];
+    logger.info(`Finished ${name}: ${outcome}`);
+    try {
+      await Jobs.finishJob(name, outcome);
+    } catch (err) {
+      logger.error(err);
+    }
+  };
+
+  const child = spawn(process.execPath, [`${__dirname}/${job.script}`].concat(job.args || []), {
+    cwd: __dirname,
+    stdio: "ignore",
+  });
+  child.on("error", err => finish(`failed (${err.message})`));
+  child.on("exit", (code, signal) => finish(code === 0 ? "succeeded" : `failed (${signal || `exit code ${code}`})`));
+  return { started: true };
+};
+module.exports.run = run;
+
+/**
+ * Returns the name of the job with the given name, allowing for variations
+ * like "the dry run" or "scrape job", or false if there's no such job
+ */
+module.exports.resolveJob = (text) => {
+  const cleaned = String(text)
+    .toLowerCase()
+    .replace(/[-_]/g, " ")
+    .replace(/^the |\s+(job|now)$/g, "")
+    .trim();
+  if (JOBS[cleaned]) return cleaned;
+  return Object.keys(JOBS).find(name => name.replace(" ", "") === cleaned.replace(/\s+/g, "")) || false;
+};
+
+/**
+ * Returns every job with its description, schedule today, last run and outcome
+ */
+module.exports.getJobs = async () => {
+  const settings = await Calendar.getSchedule();
+  const records = await Jobs.getJobs();
+  return Object.keys(JOBS).map((name) => {
+    const { description, time, daily, day } = JOBS[name];
+    const record = records.find(r => r.name === name) || {};
+    return {
+      name,
+      description,
+      time: time(settings),
+      days: daily ? "daily" : (day ? day(settings) : "workdays"),
+      running: running[JOBS[name].script] === name,
+      lastRun: record.lastRun,
+      outcome: record.outcome,
+    };
+  });
+};
+
+/********************************** Helpers ***********************************/
+
+/**
+ * Returns true if jobs that run on workdays should run on the given date, given
+ * the schedule for that day from Calendar.getSchedule
+ */
+const isWorkday = (date, { closed }) => date.getDay() !== 0 && date.getDay() !== 6 && !closed;
+
+const toMinutes = time => Math.floor(time / 100) * 60 + time % 100;
+
+// Returns the time the given number of minutes after the given time, but no
+// later than 11:59pm
+const addMinutes = (time, minutes) => {
+  const total = Math.min(toMinutes(time) + minutes, 23 * 60 + 59);
+  return Math.floor(total / 60) * 100 + total % 60;
+};
+
+/**
+ * Starts every job that's due and hasn't run on schedule today. Jobs that are
+ * blocked by another run of their script are tried again on the next check.
+ */
+const runDueJobs = async () => {
+  const now = new Date();
+  const today = Transform.dateKey(now);
+  const settings = await Calendar.getSchedule(today);
+  const records = await Jobs.getJobs();
+
+  for (const name of Object.keys(JOBS)) {
+    const job = JOBS[name];
+    const record = records.find(r => r.name === name) || {};
+    const late = now.getHours() * 60 + now.getMinutes() - toMinutes(job.time(settings));
+    if (record.lastScheduled === today || late < 0 || late > GRACE_MINUTES) continue;
+
+    const runsToday = job.daily || (job.day ? now.getDay() === job.day(settings) : isWorkday(now, settings));
+    if (!runsToday || running[job.script]) continue;
+
+    await Jobs.setScheduled(name, today);
+    await run(name, "schedule");
+  }
+};
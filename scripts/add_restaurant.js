@@ -1,23 +1,23 @@
 /**
  * Adds a restaurant to be scraped
  *
- * Basically just adds an empty entry to Mongo so that the next time the scraper
- * runs it'll pick up and scrape.
+ * Basically just adds an empty entry to storage so that the next time the scraper
+ * runs it'll pick up and scrape. Any further arguments are added as nicknames.
+ *
+ * Usage:
+ *   node scripts/add_restaurant.js "Ike's Place" ikes
  */
 
-const MongoClient = require("mongodb").MongoClient;
-const priv = require("../private");
+const Storage = require("../storage");
+const RestaurantNames = require("../util/restaurant_names");
 
-const client = new MongoClient(priv.mongoSrv, { useNewUrlParser: true });
-client.connect((err) => {
-  if (err) console.log("Error connecting to MongoDB:", err);
-  client
-    .db(priv.mongoDbName)
+Storage.init().then(() => {
+  Storage
     .collection("menu")
-    .insertOne({ name: process.argv[2] })
+    .insertOne({ name: process.argv[2], nicknames: process.argv.slice(3).map(RestaurantNames.normalizeName) })
     .then(() => {
       console.log(`Added ${process.argv[2]} to scraper.`);
-      console.log("Don't forget to generate and upload new entities to Dialogflow!");
+      console.log("Alfred will recognize it by its name and variants of it. Admins can add nicknames with \"alfred add nickname [nickname] for [restaurant]\".");
       process.exit(0);
     });
 });
@@ -0,0 +1,122 @@
+/**
+ * Checks that the memory storage backend handles the queries and updates the
+ * models rely on, the way MongoDB would
+ *
+ * The file and memory backends stand in for MongoDB when running offline, so
+ * this should pass after any change to storage/memory.js. Exits with an error
+ * on the first check that fails.
+ *
+ * Usage:
+ *   node scripts/check_memory_store.js
+ */
+
+const assert = require("assert");
+const Memory = require("../storage/memory");
+
+const CHECKS = {
+  "$in matches any of the values, including array elements": async (c) => {
+    await c.insertOne({ name: "a", status: "pending", tags: ["x"] });
+    await c.insertOne({ name: "b", status: "failed", tags: ["y"] });
+    await c.insertOne({ name: "c", status: "submitted", tags: ["z"] });
+    assert.deepStrictEqual(names(await c.find({ status: { $in: ["pending", "failed"] } }).toArray()), ["a", "b"]);
+    assert.deepStrictEqual(names(await c.find({ tags: { $in: ["y", "z"] } }).toArray()), ["b", "c"]);
+  },
+  "$ne matches missing fields, and arrays without the value": async (c) => {
+    await c.insertOne({ name: "a", submitting: true, tags: ["x"] });
+    await c.insertOne({ name: "b", submitting: false, tags: ["y"] });
+    await c.insertOne({ name: "c" });
+    assert.deepStrictEqual(names(await c.find({ submitting: { $ne: true } }).toArray()), ["b", "c"]);
+    assert.deepStrictEqual(names(await c.find({ tags: { $ne: "x" } }).toArray()), ["b", "c"]);
+  },
+  "$or and $lt combine, as when claiming stale orders": async (c) => {
+    await c.insertOne({ name: "a", status: "pending" });
+    await c.insertOne({ name: "b", status: "in-progress", updated: new Date(1000) });
+    await c.insertOne({ name: "c", status: "in-progress", updated: new Date(3000) });
+    const query = { $or: [{ status: "pending" }, { status: "in-progress", updated: { $lt: new Date(2000) } }] };
+    assert.deepStrictEqual(names(await c.find(query).toArray()), ["a", "b"]);
+  },
+  "$push adds one value, or each of $each": async (c) => {
+    await c.insertOne({ name: "a", items: [1] });
+    await c.findOneAndUpdate({ name: "a" }, { $push: { items: 2 } });
+    await c.findOneAndUpdate({ name: "a" }, { $push: { items: { $each: [3, 4] } } });
+    await c.findOneAndUpdate({ name: "a" }, { $push: { "nested.items": { $each: [5] } } });
+    const doc = await c.findOne({ name: "a" });
+    assert.deepStrictEqual(doc.items, [1, 2, 3, 4]);
+    assert.deepStrictEqual(doc.nested.items, [5]);
+  },
+  "$pull removes every equal value": async (c) => {
+    await c.insertOne({ name: "a", nicknames: ["x", "y", "x"] });
+    await c.findOneAndUpdate({ nicknames: "x" }, { $pull: { nicknames: "x" } });
+    await c.findOneAndUpdate({ name: "a" }, { $pull: { missing: "x" } });
+    const doc = await c.findOne({ name: "a" });
+    assert.deepStrictEqual(doc.nicknames, ["y"]);
+    assert.strictEqual(doc.missing, undefined);
+  },
+  "$unset then $pull of null removes an array element, as in Orders.removeItem": async (c) => {
+    await c.insertOne({ name: "a", items: [{ n: 1 }, { n: 2 }, { n: 3 }] });
+    await c.findOneAndUpdate({ name: "a" }, { $unset: { "items.1": 1 } });
+    const { value } = await c.findOneAndUpdate({ name: "a" }, { $pull: { items: null } }, { returnOriginal: false });
+    assert.deepStrictEqual(value.items, [{ n: 1 }, { n: 3 }]);
+  },
+  "$unset removes top level and dotted fields": async (c) => {
+    await c.insertOne({ name: "a", holidays: ["2019-12-25"], votes: { U1: "x", U2: "y" }, list: [1, 2] });
+    await c.findOneAndUpdate({ name: "a" }, { $unset: { "holidays": "", "votes.U1": "", "list.0": "", "no.such.path": "" } });
+    const doc = await c.findOne({ name: "a" });
+    assert.strictEqual("holidays" in doc, false);
+    assert.deepStrictEqual(doc.votes, { U2: "y" });
+    assert.deepStrictEqual(doc.list, [null, 2]);
+  },
+  "upsert inserts from the query's equality fields, then updates": async (c) => {
+    const query = { date: "2019-10-15", slackId: "U1", restaurant: "a", status: { $ne: "x" } };
+    const inserted = await c.findOneAndUpdate(query, { $set: { amount: 1 } }, { upsert: true, returnOriginal: false });
+    assert.deepStrictEqual(withoutId(inserted.value), { date: "2019-10-15", slackId: "U1", restaurant: "a", amount: 1 });
+
+    const updated = await c.findOneAndUpdate(query, { $set: { amount: 2 } }, { upsert: true });
+    assert.strictEqual(updated.value.amount, 1, "returns the original document by default");
+    assert.strictEqual((await c.find({}).toArray()).length, 1);
+    assert.strictEqual((await c.findOne({ slackId: "U1" })).amount, 2);
+
+    const missing = await c.findOneAndUpdate({ slackId: "U2" }, { $set: { amount: 3 } });
+    assert.strictEqual(missing.value, null);
+    assert.strictEqual((await c.find({}).toArray()).length, 1);
+  },
+  "sort orders by each key in turn, and limit keeps the first n": async (c) => {
+    await c.insertOne({ name: "a", date: "2019-10-14", timestamp: 1 });
+    await c.insertOne({ name: "b", date: "2019-10-15", timestamp: 2 });
+    await c.insertOne({ name: "c", date: "2019-10-15", timestamp: 3 });
+    const found = await c.find({}).sort({ date: -1, timestamp: -1 }).limit(2).toArray();
+    assert.deepStrictEqual(names(found), ["c", "b"]);
+  },
+  "documents are copied in and out": async (c) => {
+    const doc = { name: "a", items: [1] };
+    await c.insertOne(doc);
+    doc.items.push(2);
+    (await c.findOne({ name: "a" })).items.push(3);
+    assert.deepStrictEqual((await c.findOne({ name: "a" })).items, [1]);
+  },
+};
+
+(async () => {
+  for (const name of Object.keys(CHECKS)) {
+    try {
+      await CHECKS[name](Memory.createStore().collection("test"));
+      console.log(`ok    ${name}`);
+    } catch (e) {
+      console.log(`FAIL  ${name}`);
+      console.error(e.message);
+      process.exit(1);
+    }
+  }
+  console.log("All checks passed.");
+  process.exit(0);
+})();
+
+/********************************* Utilities **********************************/
+
+const names = docs => docs.map(d => d.name);
+
+const withoutId = (doc) => {
+  const copy = Object.assign({}, doc);
+  delete copy._id;
+  return copy;
+};
@@ -1,28 +1,14 @@
-// Generate restaurant entities
+// Generate restaurant entities for Dialogflow. This is optional, since
+// commander.js resolves restaurant aliases itself (see Menu.getAliases).
+const Storage = require("../storage");
 const Menu = require("../models/menu");
 
-setTimeout(async () => {
+Storage.init().then(async () => {
+  const aliases = await Menu.getAliases();
   const menus = (await Menu.getAllMenus()).map(({ name }) => {
-    const poss = fullSet(perms(name.replace(/[()]/gi, "").split(" ")));
-    return [`"${name}"`].concat(poss.map(p => `"${p}"`)).join(",");
+    const synonyms = Object.keys(aliases).filter(alias => aliases[alias] === name);
+    return [name].concat(synonyms).map(p => `"${p}"`).join(",");
   });
   console.log(menus.join("\n"));
   process.exit(0);
-}, 5000);
-
-// Return all possible reasonable permutations
-const perms = (arr) => {
-  if (arr.length === 1) return [arr[0]];
-
-  const sub = perms(arr.slice(1));
-  return sub.map(s => `${arr[0]} ${s}`).concat(sub).concat(arr[0]);
-};
-
-// Return all possible formats
-const fullSet = (arr) => {
-  return arr
-    .concat(arr.map(s => s.replace("&", "and")))
-    .concat(arr.map(s => s.replace("Little", "Lil")))
-    .concat(arr.map(s => s.replace(/[^a-z ]/gi, "")))
-    .filter((value, idx, self) => self.indexOf(value) === idx);
-};
+});
@@ -1,7 +1,8 @@
 
+const Storage = require("../storage");
 const Menu = require("../models/menu");
 
-setTimeout(async () => {
+Storage.init().then(async () => {
   const menus = await Menu.getAllMenus();
   const reqdOpts = menus.reduce((memo1, menu) => {
     return menu.items.reduce((memo2, item) => {
@@ -19,4 +20,5 @@ setTimeout(async () => {
     }, memo1);
   }, []);
   console.log(reqdOpts);
-}, 5000);
+  process.exit(0);
+});
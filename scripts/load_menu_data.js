@@ -0,0 +1,22 @@
+/**
+ * Loads the legacy menus in data/menu_data.json into storage
+ *
+ * Handy for trying Alfred out with the file backend, since there's nothing to
+ * order from until the scraper has run. Restaurants that already have a menu
+ * are skipped unless --overwrite is given.
+ *
+ * Usage:
+ *   node scripts/load_menu_data.js [filename] [--overwrite]
+ */
+
+const Storage = require("../storage");
+const Legacy = require("../storage/legacy");
+
+const OVERWRITE = process.argv.includes("--overwrite");
+const [filename] = process.argv.slice(2).filter(a => !a.startsWith("--"));
+
+Storage.init().then(async () => {
+  const loaded = await Legacy.loadMenus(Storage.collection("menu"), filename, OVERWRITE);
+  console.log(`Loaded ${loaded.length} menus${loaded.length ? `: ${loaded.join(", ")}` : ""}.`);
+  process.exit(0);
+});
@@ -0,0 +1,18 @@
+/**
+ * Migrates stats from running totals to events
+ *
+ * Stats used to be kept as running totals per user in the `stats` collection.
+ * This copies each user's totals into a single baseline event in
+ * `stat_events`, so that they still count towards stats without a date range.
+ * The server also does this when it starts (see Stats.migrateTotals), so this
+ * is only needed to migrate without restarting it.
+ */
+
+const Storage = require("../storage");
+const Stats = require("../models/stats");
+
+Storage.init().then(async () => {
+  const { migrated, of } = await Stats.migrateTotals();
+  console.log(`Migrated stats for ${migrated} of ${of} users.`);
+  process.exit(0);
+});
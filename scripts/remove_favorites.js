@@ -2,24 +2,21 @@
  * Removes every user's favorite
  */
 
-const MongoClient = require("mongodb").MongoClient;
-const priv = require("../private");
+const Storage = require("../storage");
 
-const client = new MongoClient(priv.mongoSrv, { useNewUrlParser: true });
-client.connect((err) => {
-  if (err) console.log("Error connecting to MongoDB:", err);
+Storage.init().then(() => {
   const password = Math.random().toString(36).slice(4);
   process.stdout.write(`Type "${password}" to continue: `);
   process.stdin.on("data", (data) => {
     const input = data.toString().trim();
     if (input === password) {
       console.log("Confirmation entered correctly, continuing...");
-      client
-        .db(priv.mongoDbName)
+      Storage
         .collection("users")
         .updateMany({}, {
           $unset: {
             "favorite": "",
+            "favorites": "",
           },
         })
         .then(() => {
@@ -0,0 +1,45 @@
+/**
+ * Views or changes workspace settings
+ *
+ * Usage:
+ *   node scripts/settings.js                      # show all settings
+ *   node scripts/settings.js cutoff 3pm           # change a setting
+ *   node scripts/settings.js "delivery time" 5:30pm
+ *   node scripts/settings.js poll on
+ */
+
+const Storage = require("../storage");
+const Settings = require("../models/settings");
+const Transform = require("../util/transform");
+
+const [name, value] = process.argv.slice(2);
+
+Storage.init().then(async () => {
+  if (name) {
+    const key = Settings.resolveName(name);
+    if (!key) {
+      console.log(`There is no setting called ${name}.`);
+      process.exit(1);
+    }
+    if (await Settings.updateSetting(key, value || "") === undefined) {
+      console.log(`"${value}" isn't a valid value for ${name}.`);
+      process.exit(1);
+    }
+  }
+
+  const current = await Settings.getSettings();
+  const { cutoff, deliveryTime, budget, admins, poll, pollDeadline, pollWinners, pollMode } = current;
+  console.log(`Cutoff:        ${Transform.formatTime(cutoff)}`);
+  console.log(`Delivery time: ${Transform.formatTime(deliveryTime)}`);
+  console.log(`Budget:        $${budget.toFixed(2)}`);
+  console.log(`Admins:        ${admins.join(", ")}`);
+  console.log(`Poll:          ${poll ? "on" : "off"}`);
+  console.log(`Poll deadline: ${Transform.formatTime(pollDeadline)}`);
+  console.log(`Poll winners:  ${pollWinners}`);
+  console.log(`Poll mode:     ${pollMode}`);
+  console.log(`Open time:     ${Transform.formatTime(current.openTime)}`);
+  console.log(`Dry run time:  ${Transform.formatTime(current.dryRunTime)}`);
+  console.log(`Daily tasks:   ${Transform.formatTime(current.dailyTasksTime)}`);
+  console.log(`Scrape:        ${Transform.formatWeekday(current.scrapeDay)} ${Transform.formatTime(current.scrapeTime)}`);
+  process.exit(0);
+});
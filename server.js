@@ -3,8 +3,13 @@ const fs = require("fs");
 const Koa = require("koa");
 const router = new (require("koa-router"))();
 const logger = require("./logger")("server");
+const Storage = require("./storage");
+const Scheduler = require("./scheduler");
+const Stats = require("./models/stats");
+const priv = require("./private");
 
 const Commander = require("./commander");
+const Interactive = require("./interactive");
 
 const app = new Koa();
 const PORT = process.argv[2] || 9002;
@@ -17,8 +22,12 @@ app.use(async (ctx, next) => {
   await next();
 });
 app.use(require("koa-mount")("/confirmations", require("./koa_confirmation_middleware")));
+app.use(require("koa-mount")("/export", require("./koa_export_middleware")));
+app.use(require("koa-mount")("/admin", require("./koa_admin_api")));
+app.use(require("koa-mount")("/dashboard", require("./koa_dashboard_middleware")));
 
 router.post("/command", Commander.do);
+router.post("/interactive", Interactive.do);
 
 app.use(router.routes());
 app.use(router.allowedMethods());
@@ -38,6 +47,19 @@ app.on("error", (err, ctx) => {
 
 /*************************** Initialize HTTP server ***************************/
 
-app.listen(PORT);
-logger.info(`Server listening on ${PORT}`);
+Storage.init().then(async () => {
+  // Keep stats from before they were kept as events
+  try {
+    const { migrated } = await Stats.migrateTotals();
+    if (migrated > 0) logger.info(`Migrated stats for ${migrated} users`);
+  } catch (err) {
+    logger.error(err);
+  }
+
+  app.listen(PORT);
+  logger.info(`Server listening on ${PORT}`);
+
+  // Jobs can still be run with crontabs instead, see README
+  if (priv.scheduler !== false) Scheduler.start();
+});
 
@@ -0,0 +1,68 @@
+/**
+ * JSON file storage backend
+ *
+ * Keeps every collection in a single JSON file, using the in-memory backend for
+ * queries. The file is written after every change, and re-read whenever another
+ * process (e.g. the server and perform_grubhub.js) has changed it. Dates are
+ * stored as { "$date": "[ISO string]" } so that they survive the round trip.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Memory = require("./memory");
+
+module.exports.connect = async (filename) => {
+  let lastModified = -1;
+  const store = Memory.createStore({}, () => {
+    const tmp = `${filename}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store.data, toJson, 2), "utf8");
+    fs.renameSync(tmp, filename);
+    lastModified = fs.statSync(filename).mtimeMs;
+  });
+
+  // Replaces the data in the store with the file, if it changed
+  const reload = () => {
+    if (!fs.existsSync(filename)) return;
+    const { mtimeMs } = fs.statSync(filename);
+    if (mtimeMs === lastModified) return;
+
+    const data = JSON.parse(fs.readFileSync(filename, "utf8"), fromJson);
+    Object.keys(store.data).forEach(name => store.data[name].splice(0, store.data[name].length));
+    Object.keys(data).forEach((name) => {
+      if (!store.data[name]) store.data[name] = [];
+      store.data[name].push(...data[name]);
+    });
+    lastModified = mtimeMs;
+  };
+
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  reload();
+
+  return {
+    collection: (name) => {
+      const collection = store.collection(name);
+      return Object.keys(collection).reduce((memo, method) => {
+        memo[method] = (...args) => {
+          reload();
+          return collection[method](...args);
+        };
+        return memo;
+      }, {});
+    },
+    close: async () => {},
+  };
+};
+
+/********************************** Helpers ***********************************/
+
+// JSON.stringify calls toJSON on dates before the replacer sees them, so use
+// the original value from the holder
+function toJson(key, value) {
+  return this[key] instanceof Date ? { $date: this[key].toISOString() } : value;
+}
+
+const fromJson = (key, value) => {
+  return value && typeof value === "object" && Object.keys(value).length === 1 && typeof value.$date === "string"
+    ? new Date(value.$date)
+    : value;
+};
@@ -0,0 +1,90 @@
+/**
+ * Storage layer
+ *
+ * Models get their collections from here rather than connecting to Mongo
+ * themselves. Every entry point (server.js, cli.js, perform_grubhub.js, the
+ * scripts in util/ and scripts/) must call init() before using a model.
+ *
+ * The backend is chosen with "storage" in private.json:
+ *   "mongo" (default)  MongoDB at mongoSrv
+ *   "file"             A JSON file at storageFile (data/storage.json by default)
+ *   "memory"           Nothing is saved. The legacy menus in data/menu_data.json
+ *                      are loaded so there's something to order from.
+ *
+ * Collections support the subset of the MongoDB API described in
+ * storage/memory.js.
+ */
+
+const Legacy = require("./legacy");
+const logger = require("../logger")("storage");
+const priv = require("../private");
+
+const METHODS = [
+  "find",
+  "findOne",
+  "insertOne",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "updateMany",
+  "deleteOne",
+  "deleteMany",
+];
+const DEFAULT_FILE = `${__dirname}/../data/storage.json`;
+
+let backend;
+let connecting;
+
+/**
+ * Connects to the backend given in private.json, or in options (which has the
+ * same keys). Calling init more than once connects once.
+ */
+module.exports.init = async (options = {}) => {
+  if (!connecting) {
+    const config = Object.assign({
+      storage: priv.storage || "mongo",
+      storageFile: priv.storageFile || DEFAULT_FILE,
+    }, options);
+    connecting = connect(config).catch((err) => {
+      connecting = undefined;
+      throw err;
+    });
+  }
+  backend = await connecting;
+};
+
+/**
+ * Returns the collection with the given name. It can be called at any time,
+ * e.g. when a model is required, but can only be used after init.
+ */
+module.exports.collection = (name) => {
+  return METHODS.reduce((memo, method) => {
+    memo[method] = (...args) => {
+      if (!backend) throw new Error("Storage hasn't been initialized, call Storage.init() first");
+      return backend.collection(name)[method](...args);
+    };
+    return memo;
+  }, {});
+};
+
+module.exports.close = async () => {
+  if (backend) await backend.close();
+  backend = undefined;
+  connecting = undefined;
+};
+
+/********************************** Helpers ***********************************/
+
+const connect = async ({ storage, storageFile }) => {
+  if (storage === "mongo") {
+    return await require("./mongo").connect(priv.mongoSrv, priv.mongoDbName);
+  } else if (storage === "file") {
+    logger.info(`Using ${storageFile}`);
+    return await require("./file").connect(storageFile);
+  } else if (storage === "memory") {
+    const store = require("./memory").createStore();
+    const loaded = await Legacy.loadMenus(store.collection("menu"));
+    logger.info(`Using memory, loaded ${loaded.length} legacy menus`);
+    return Object.assign(store, { close: async () => {} });
+  }
+  throw new Error(`Unknown storage backend ${storage}`);
+};
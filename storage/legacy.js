@@ -0,0 +1,57 @@
+/**
+ * Loads the menus scraped by the first version of Alfred, which were kept in
+ * data/menu_data.json, keyed by restaurant name:
+ *
+ * {
+ *   "$restaurantName": {
+ *     "name": "$restaurantName",
+ *     "deliveryMin": $minimum,
+ *     // Only in some files
+ *     "url": "$restaurantUrl",
+ *     "menu": [{ "name": "$itemName", "price": $price or false }, ...]
+ *   },
+ *   ...
+ * }
+ *
+ * Items didn't have sections or options back then, and items whose price
+ * depended on their options have a price of false.
+ */
+
+const fs = require("fs");
+
+const DEFAULT_FILENAME = `${__dirname}/../data/menu_data.json`;
+
+/**
+ * Converts a legacy menu into the format saved by Menu.updateMenu
+ */
+const convertMenu = ({ name, deliveryMin, url, menu }) => ({
+  name,
+  minimum: deliveryMin || 0,
+  url: url || "",
+  updated: 0,
+  items: (menu || []).map(item => ({
+    section: "",
+    name: item.name,
+    price: item.price || 0,
+    optionSets: [],
+  })),
+});
+module.exports.convertMenu = convertMenu;
+
+/**
+ * Saves each legacy menu in the given file to the given menu collection.
+ * Existing menus are skipped unless overwrite is set. Returns the names of the
+ * restaurants that were saved.
+ */
+module.exports.loadMenus = async (menuCollection, filename = DEFAULT_FILENAME, overwrite = false) => {
+  const legacy = JSON.parse(fs.readFileSync(filename, "utf8"));
+  const saved = [];
+  for (const data of Object.values(legacy)) {
+    const menu = convertMenu(data);
+    if (!overwrite && await menuCollection.findOne({ name: menu.name })) continue;
+
+    await menuCollection.findOneAndUpdate({ name: menu.name }, { $set: menu }, { upsert: true });
+    saved.push(menu.name);
+  }
+  return saved;
+};
@@ -0,0 +1,254 @@
+/**
+ * In-memory storage backend
+ *
+ * Implements the subset of the MongoDB collection API that the models use:
+ * find (with sort and limit), findOne, insertOne, findOneAndUpdate,
+ * findOneAndDelete, updateMany, deleteOne and deleteMany. Queries support
+ * equality (including dotted paths and array membership), $or, $exists, $in,
+ * $ne, $gt, $gte, $lt and $lte, and updates support $set, $unset, $inc, $push
+ * (with $each), $pull (of values, not conditions) and $addToSet. Run
+ * scripts/check_memory_store.js after changing any of these.
+ *
+ * Documents are copied in and out, so callers can't change stored documents
+ * by accident. The given onChange function is called after every write, which
+ * is how the file backend persists data.
+ */
+
+/**
+ * Returns a store holding the given data, which maps each collection name to an
+ * array of documents
+ */
+module.exports.createStore = (data = {}, onChange = () => {}) => {
+  const collections = {};
+  return {
+    data,
+    collection: (name) => {
+      if (!data[name]) data[name] = [];
+      if (!collections[name]) collections[name] = createCollection(() => data[name], onChange);
+      return collections[name];
+    },
+  };
+};
+
+const createCollection = (getDocs, onChange) => {
+  const find = (query) => {
+    let found = getDocs().filter(d => matches(d, query));
+    const cursor = {
+      sort: (spec) => {
+        const keys = Object.keys(spec);
+        found = found.slice().sort((a, b) => {
+          for (const key of keys) {
+            const order = compare(getPath(a, key), getPath(b, key)) * spec[key];
+            if (order !== 0) return order;
+          }
+          return 0;
+        });
+        return cursor;
+      },
+      limit: (n) => {
+        if (n > 0) found = found.slice(0, n);
+        return cursor;
+      },
+      toArray: async () => found.map(clone),
+    };
+    return cursor;
+  };
+
+  return {
+    find,
+    findOne: async query => clone(getDocs().find(d => matches(d, query))) || null,
+    insertOne: async (doc) => {
+      const inserted = Object.assign({ _id: generateId() }, clone(doc));
+      getDocs().push(inserted);
+      onChange();
+      return { insertedId: inserted._id };
+    },
+    findOneAndUpdate: async (query, update, options = {}) => {
+      let doc = getDocs().find(d => matches(d, query));
+      const original = clone(doc) || null;
+      if (!doc) {
+        if (!options.upsert) return { value: null };
+        doc = Object.assign({ _id: generateId() }, equalityFields(query));
+        getDocs().push(doc);
+      }
+
+      applyUpdate(doc, update);
+      onChange();
+      return { value: options.returnOriginal === false ? clone(doc) : original };
+    },
+    findOneAndDelete: async (query) => {
+      const docs = getDocs();
+      const index = docs.findIndex(d => matches(d, query));
+      if (index === -1) return { value: null };
+
+      const [removed] = docs.splice(index, 1);
+      onChange();
+      return { value: removed };
+    },
+    updateMany: async (query, update) => {
+      const found = getDocs().filter(d => matches(d, query));
+      found.forEach(d => applyUpdate(d, update));
+      onChange();
+      return { modifiedCount: found.length };
+    },
+    deleteOne: async (query) => {
+      const docs = getDocs();
+      const index = docs.findIndex(d => matches(d, query));
+      if (index !== -1) docs.splice(index, 1);
+      onChange();
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+    deleteMany: async (query) => {
+      const docs = getDocs();
+      const kept = docs.filter(d => !matches(d, query));
+      const deletedCount = docs.length - kept.length;
+      docs.splice(0, docs.length, ...kept);
+      onChange();
+      return { deletedCount };
+    },
+  };
+};
+
+/********************************** Queries ***********************************/
+
+const matches = (doc, query = {}) => {
+  return Object.keys(query).every((key) => {
+    if (key === "$or") return query.$or.some(q => matches(doc, q));
+    return matchesCondition(getPath(doc, key), query[key]);
+  });
+};
+
+const OPERATORS = {
+  $exists: (value, expected) => (value !== undefined) === expected,
+  $in: (value, expected) => expected.some(e => matchesValue(value, e)),
+  $ne: (value, expected) => !matchesValue(value, expected),
+  $gt: (value, expected) => value !== undefined && compare(value, expected) > 0,
+  $gte: (value, expected) => value !== undefined && compare(value, expected) >= 0,
+  $lt: (value, expected) => value !== undefined && compare(value, expected) < 0,
+  $lte: (value, expected) => value !== undefined && compare(value, expected) <= 0,
+};
+
+const matchesCondition = (value, condition) => {
+  const isOperators = isObject(condition) && Object.keys(condition).some(k => k.startsWith("$"));
+  if (!isOperators) return matchesValue(value, condition);
+
+  return Object.keys(condition).every((op) => {
+    if (!OPERATORS[op]) throw new Error(`Unsupported query operator ${op}`);
+    return OPERATORS[op](value, condition[op]);
+  });
+};
+
+// Like Mongo, a condition on an array matches if any element matches
+const matchesValue = (value, expected) => {
+  if (Array.isArray(value) && !Array.isArray(expected)) return value.some(v => equal(v, expected));
+  if (expected === null) return value === null || value === undefined;
+  return equal(value, expected);
+};
+
+/********************************** Updates ***********************************/
+
+const applyUpdate = (doc, update) => {
+  Object.keys(update).forEach((op) => {
+    const fields = update[op];
+    Object.keys(fields).forEach((path) => {
+      const value = clone(fields[path]);
+      const current = getPath(doc, path);
+      switch (op) {
+        case "$set":
+          setPath(doc, path, value);
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case "$push": {
+          const items = isObject(value) && value.$each ? value.$each : [value];
+          setPath(doc, path, (current || []).concat(items));
+          break;
+        }
+        case "$addToSet": {
+          const items = isObject(value) && value.$each ? value.$each : [value];
+          setPath(doc, path, items.reduce((m, i) => m.some(e => equal(e, i)) ? m : m.concat([i]), current || []));
+          break;
+        }
+        case "$pull":
+          if (Array.isArray(current)) setPath(doc, path, current.filter(i => !matchesCondition(i, value)));
+          break;
+        default:
+          throw new Error(`Unsupported update operator ${op}`);
+      }
+    });
+  });
+};
+
+/********************************** Helpers ***********************************/
+
+const isObject = v => !!v && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date);
+
+// The fields of a query that an upserted document should start with
+const equalityFields = (query) => {
+  return Object.keys(query).reduce((memo, key) => {
+    if (!key.startsWith("$") && !(isObject(query[key]) && Object.keys(query[key]).some(k => k.startsWith("$")))) {
+      setPath(memo, key, clone(query[key]));
+    }
+    return memo;
+  }, {});
+};
+
+const getPath = (doc, path) => path.split(".").reduce((o, key) => (o === null || o === undefined ? undefined : o[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const parent = keys.slice(0, -1).reduce((o, key) => {
+    if (o[key] === null || typeof o[key] !== "object") o[key] = {};
+    return o[key];
+  }, doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+// Unsetting an array element leaves null in its place, like Mongo
+const unsetPath = (doc, path) => {
+  const keys = path.split(".");
+  const parent = keys.length === 1 ? doc : getPath(doc, keys.slice(0, -1).join("."));
+  if (!parent || typeof parent !== "object") return;
+  if (Array.isArray(parent)) {
+    parent[keys[keys.length - 1]] = null;
+  } else {
+    delete parent[keys[keys.length - 1]];
+  }
+};
+
+const equal = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  if (a === b) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => equal(a[k], b[k]));
+};
+
+const compare = (a, b) => {
+  const value = v => (v instanceof Date ? v.getTime() : v);
+  if (value(a) === value(b)) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return value(a) < value(b) ? -1 : 1;
+};
+
+const clone = (v) => {
+  if (v instanceof Date) return new Date(v.getTime());
+  if (Array.isArray(v)) return v.map(clone);
+  if (v && typeof v === "object") {
+    return Object.keys(v).reduce((memo, key) => {
+      memo[key] = clone(v[key]);
+      return memo;
+    }, {});
+  }
+  return v;
+};
+
+let lastId = 0;
+const generateId = () => `${Date.now().toString(36)}${(lastId++).toString(36).padStart(4, "0")}`;
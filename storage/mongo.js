@@ -0,0 +1,16 @@
+/**
+ * MongoDB storage backend
+ */
+
+const MongoClient = require("mongodb").MongoClient;
+
+module.exports.connect = async (url, dbName) => {
+  const client = new MongoClient(url, { useNewUrlParser: true });
+  await client.connect();
+  const db = client.db(dbName);
+
+  return {
+    collection: name => db.collection(name),
+    close: async () => await client.close(),
+  };
+};
@@ -0,0 +1,10 @@
+
+const Storage = require("../storage");
+const Poll = require("./poll");
+(async () => {
+  await Storage.init();
+
+  // Closes the poll and announces the winners if the deadline has passed
+  await Poll.getPoll();
+  process.exit(0);
+})();
@@ -1,4 +1,5 @@
 const fs = require("fs");
+const Storage = require("../storage");
 const Orders = require("../models/orders");
 const priv = require("../private");
 
@@ -7,17 +8,16 @@ const priv = require("../private");
   priv.dailyPassword = Math.random().toString(36).slice(-10);
   fs.writeFileSync(`${__dirname}/../private.json`, JSON.stringify(priv, null, 2), "utf8");
 
-  // Remove all confirmation PDFs
+  // Remove all confirmation PDFs, and diagnostics for failed orders
   const dir = `${__dirname}/../confirmations/`;
   const files = fs.readdirSync(dir);
 
   for (const file of files) {
-    if (file.split(".").pop() === "pdf") fs.unlinkSync(`${dir}${file}`);
+    if (["pdf", "png", "html", "json"].includes(file.split(".").pop())) fs.unlinkSync(`${dir}${file}`);
   }
 
   // Clear orders every night
-  setTimeout(async () => {
-    await Orders.clearOrders();
-    process.exit(0);
-  }, 5000);
+  await Storage.init();
+  await Orders.clearOrders();
+  process.exit(0);
 })();
@@ -0,0 +1,124 @@
+/**
+ * Dietary restrictions and allergies
+ *
+ * A user's diet is stored as { restrictions: ["vegetarian"], allergies: ["peanuts"] }.
+ * Restrictions are limited to the ones below, while allergies can be anything.
+ * Item and option names are checked against keywords for each, which can only
+ * catch what's in the name, so these warnings are a hint rather than a promise.
+ */
+
+const MEAT = ["chicken", "beef", "pork", "lamb", "duck", "bacon", "ham", "sausage", "pepperoni", "salami", "prosciutto", "steak", "turkey", "veal", "brisket", "chorizo", "meatball", "goat"];
+const SEAFOOD = ["fish", "salmon", "tuna", "shrimp", "prawn", "crab", "lobster", "clam", "mussel", "oyster", "scallop", "squid", "calamari", "anchovy", "eel"];
+const DAIRY = ["cheese", "milk", "butter", "cream", "yogurt", "paneer", "ghee", "mozzarella", "parmesan", "cheddar", "feta"];
+const GLUTEN = ["bread", "bun", "wheat", "flour", "noodle", "pasta", "spaghetti", "udon", "ramen", "dumpling", "tortilla", "pita", "naan", "breaded", "tempura", "croissant", "bagel", "seitan"];
+
+// Keywords for each restriction, and the ways people might say it
+const RESTRICTIONS = {
+  "vegetarian": MEAT.concat(SEAFOOD),
+  "vegan": MEAT.concat(SEAFOOD, DAIRY, ["egg", "honey", "mayo"]),
+  "pescatarian": MEAT,
+  "gluten free": GLUTEN,
+  "dairy free": DAIRY,
+  "halal": ["pork", "bacon", "ham", "prosciutto", "pepperoni", "salami"],
+  "kosher": ["pork", "bacon", "ham", "prosciutto", "shrimp", "prawn", "crab", "lobster", "clam", "mussel", "oyster", "scallop"],
+};
+const RESTRICTION_NAMES = {
+  "veggie": "vegetarian",
+  "pescetarian": "pescatarian",
+  "celiac": "gluten free",
+  "gluten intolerant": "gluten free",
+  "lactose intolerant": "dairy free",
+};
+
+// Keywords for common allergies. Other allergies are matched by name.
+const ALLERGENS = {
+  "peanut": ["peanut", "satay"],
+  "nut": ["peanut", "almond", "cashew", "walnut", "pecan", "pistachio", "hazelnut", "macadamia", "nut"],
+  "tree nut": ["almond", "cashew", "walnut", "pecan", "pistachio", "hazelnut", "macadamia"],
+  "shellfish": ["shrimp", "prawn", "crab", "lobster", "clam", "mussel", "oyster", "scallop"],
+  "fish": ["fish", "salmon", "tuna", "anchovy", "eel"],
+  "seafood": SEAFOOD,
+  "egg": ["egg", "mayo", "aioli"],
+  "dairy": DAIRY,
+  "milk": DAIRY,
+  "lactose": DAIRY,
+  "soy": ["soy", "tofu", "edamame", "miso"],
+  "gluten": GLUTEN,
+  "wheat": GLUTEN,
+  "sesame": ["sesame", "tahini"],
+};
+
+/**
+ * Parses text like "vegetarian and allergic to peanuts" into a diet. Returns
+ * undefined if no restrictions or allergies were found.
+ */
+module.exports.parseDiet = (text) => {
+  const [restrictionText, allergyText] = text.toLowerCase().replace(/-/g, " ").split(/\ballergic to\b/);
+
+  const restrictions = splitList(restrictionText).reduce((memo, phrase) => {
+    const name = RESTRICTION_NAMES[phrase] || phrase;
+    return RESTRICTIONS[name] && !memo.includes(name) ? memo.concat(name) : memo;
+  }, []);
+  const allergies = splitList(allergyText || "");
+
+  if (restrictions.length === 0 && allergies.length === 0) return;
+  return { restrictions, allergies };
+};
+
+/**
+ * Combines two diets, e.g. when a user adds an allergy
+ */
+module.exports.mergeDiets = (a, b) => {
+  const union = (x, y) => x.concat(y.filter(e => !x.includes(e)));
+  return {
+    restrictions: union(a.restrictions, b.restrictions),
+    allergies: union(a.allergies, b.allergies),
+  };
+};
+
+/**
+ * Formats the diet as a sentence, e.g. "Vegetarian. Allergic to peanuts."
+ */
+module.exports.formatDiet = ({ restrictions, allergies }) => {
+  const sentences = [];
+  if (restrictions.length > 0) sentences.push(capitalize(`${restrictions.join(", ")}.`));
+  if (allergies.length > 0) sentences.push(`Allergic to ${allergies.join(", ")}.`);
+  return sentences.join(" ");
+};
+
+/**
+ * Returns a warning for each part of the diet that the given names (of an item
+ * and its options) conflict with, e.g. "May not be vegetarian (chicken)"
+ */
+module.exports.findConflicts = (names, diet) => {
+  const text = names.join(" ").toLowerCase();
+  const conflicts = [];
+
+  diet.restrictions.forEach((restriction) => {
+    const found = RESTRICTIONS[restriction].filter(keyword => containsWord(text, keyword));
+    if (found.length > 0) conflicts.push(`May not be ${restriction} (${found.join(", ")})`);
+  });
+  diet.allergies.forEach((allergy) => {
+    const singular = allergy.replace(/s$/, "");
+    const keywords = ALLERGENS[allergy] || ALLERGENS[singular] || [singular];
+    const found = keywords.filter(keyword => containsWord(text, keyword));
+    if (found.length > 0) conflicts.push(`May contain ${allergy} (${found.join(", ")})`);
+  });
+  return conflicts;
+};
+
+/********************************** Helpers ***********************************/
+
+// Splits "a, b and c" into ["a", "b", "c"], ignoring filler words
+const splitList = (text) => {
+  return text
+    .replace(/\b(i'?m|i am|also|and also|very|severely|super|strictly|mostly)\b/g, " ")
+    .split(/,|\band\b|\bor\b|&/)
+    .map(phrase => phrase.replace(/[^a-z ]/g, "").replace(/ +/g, " ").trim())
+    .filter(phrase => phrase.length > 0);
+};
+
+// Matches the keyword as a whole word, allowing plurals
+const containsWord = (text, keyword) => new RegExp(`\\b${keyword}(e?s)?\\b`).test(text);
+
+const capitalize = text => `${text[0].toUpperCase()}${text.slice(1)}`;
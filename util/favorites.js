@@ -0,0 +1,76 @@
+/**
+ * Checks saved favorites against the current menus
+ *
+ * Favorites are saved with the items corrected at the time, so they go stale
+ * when a restaurant renames or removes an item or adds a required option.
+ */
+
+const Users = require("../models/users");
+const Menu = require("../models/menu");
+const Transform = require("./transform");
+
+// Names that refer to a restaurant's default favorite rather than a named one
+const DEFAULT_NAMES = ["usual", "favorite", "favourite", "fav", "default", "regular"];
+
+module.exports.isDefaultName = name => !name || DEFAULT_NAMES.includes(name.toLowerCase().trim());
+
+/**
+ * Finds one of the given favorites by name and/or restaurant. Without a name,
+ * the restaurant's default favorite is used, and without either, the most
+ * recently saved favorite.
+ */
+module.exports.findFavorite = (favorites, name, restaurant) => {
+  const candidates = restaurant ? favorites.filter(f => f.restaurant === restaurant) : favorites;
+  if (!module.exports.isDefaultName(name)) {
+    const lower = name.toLowerCase().trim();
+    return candidates.find(f => f.name.toLowerCase() === lower) || candidates.find(f => f.name.toLowerCase().includes(lower));
+  }
+  if (restaurant) return candidates.find(f => f.isDefault) || candidates[0];
+  return candidates.slice().sort((a, b) => b.saved - a.saved)[0];
+};
+
+/**
+ * Re-corrects the given favorite against the current menu. Returns the parsed
+ * items (as from Transform.parseOrders) and the corrected items, or undefined
+ * if the restaurant no longer exists.
+ */
+const correctFavorite = async (favorite) => {
+  if (!(await Menu.getMenu(favorite.restaurant))) return;
+
+  const parsed = Transform.itemsToParsed(favorite.items);
+  const fixedItems = await Transform.correctItems(parsed, favorite.restaurant);
+  return { parsed, fixedItems };
+};
+module.exports.correctFavorite = correctFavorite;
+
+/**
+ * Checks every favorite from the given restaurants (or all restaurants) and
+ * saves the errors of stale favorites on the user, so they're shown with the
+ * user's info. Returns a list of { slackId, name, restaurant, errors } for each
+ * stale favorite.
+ */
+module.exports.checkFavorites = async (restaurants) => {
+  const stale = [];
+  for (const { slackId, favorites } of await Users.getUsersWithFavorites()) {
+    for (const favorite of favorites) {
+      if (restaurants && !restaurants.includes(favorite.restaurant)) continue;
+
+      const corrected = await correctFavorite(favorite);
+      const errors = corrected
+        ? corrected.fixedItems.filter(i => !i.successful).map(describeError)
+        : [`${favorite.restaurant} isn't available anymore`];
+      await Users.setFavoriteErrors(slackId, favorite.name, errors);
+      if (errors.length > 0) stale.push({ slackId, name: favorite.name, restaurant: favorite.restaurant, errors });
+    }
+  }
+  return stale;
+};
+
+/********************************** Helpers ***********************************/
+
+// Describes why an item of a favorite couldn't be corrected
+const describeError = ({ item, errors }) => {
+  if (item.suggestion) return `${item.name} isn't on the menu anymore (did you mean ${item.suggestion}?)`;
+  if (errors) return `${item.name} needs a choice for ${errors.join(", ")}`;
+  return `${item.name} isn't on the menu anymore`;
+};
@@ -0,0 +1,125 @@
+/**
+ * Compares two scrapes of the same restaurant's menu
+ *
+ * Items are matched by name and option sets by description, since the form
+ * names of option sets change between scrapes.
+ */
+
+/**
+ * Returns the changes from the old menu to the new menu:
+ *   {
+ *     added: ["$itemName", ...],
+ *     removed: ["$itemName", ...],
+ *     prices: [{ name, from, to }, ...],
+ *     options: [{ name, added: [...], removed: [...], required: [...], changed: [...] }, ...],
+ *   }
+ * where the option changes hold the descriptions of option sets that were
+ * added, removed, became required, or whose options changed.
+ */
+module.exports.diffMenus = (oldMenu, newMenu) => {
+  const oldItems = byName(oldMenu.items || []);
+  const newItems = byName(newMenu.items || []);
+
+  const diff = {
+    added: Object.keys(newItems).filter(name => !oldItems[name]),
+    removed: Object.keys(oldItems).filter(name => !newItems[name]),
+    prices: [],
+    options: [],
+  };
+
+  Object.keys(newItems).filter(name => oldItems[name]).forEach((name) => {
+    const oldItem = oldItems[name];
+    const newItem = newItems[name];
+    if (!samePrice(oldItem.price, newItem.price)) diff.prices.push({ name, from: oldItem.price, to: newItem.price });
+
+    const optionChanges = diffOptionSets(oldItem.optionSets || [], newItem.optionSets || []);
+    if (optionChanges) diff.options.push(Object.assign({ name }, optionChanges));
+  });
+  return diff;
+};
+
+module.exports.isEmpty = ({ added, removed, prices, options }) => {
+  return added.length + removed.length + prices.length + options.length === 0;
+};
+
+/**
+ * Returns a description of each change in the diff that affects the given
+ * items (in the format of the items in orders), e.g. "Chicken Momo now costs
+ * $11.00 (was $10.00)"
+ */
+module.exports.describeAffected = (diff, items) => {
+  const names = items.map(i => i.item.name);
+  const described = [];
+
+  diff.removed.filter(name => names.includes(name)).forEach((name) => {
+    described.push(`${name} was removed from the menu`);
+  });
+  diff.prices.filter(({ name }) => names.includes(name)).forEach(({ name, from, to }) => {
+    described.push(`${name} now costs ${formatPrice(to)} (was ${formatPrice(from)})`);
+  });
+  diff.options.filter(({ name }) => names.includes(name)).forEach((change) => {
+    described.push(describeOptionChange(change));
+  });
+  return described;
+};
+
+/**
+ * Returns one line describing each change in the diff
+ */
+module.exports.describeDiff = (diff) => {
+  return [].concat(
+    diff.added.map(name => `+ ${name}`),
+    diff.removed.map(name => `- ${name}`),
+    diff.prices.map(({ name, from, to }) => `${name}: ${formatPrice(from)} → ${formatPrice(to)}`),
+    diff.options.map(describeOptionChange)
+  );
+};
+
+/********************************** Helpers ***********************************/
+
+// Prices that couldn't be scraped are NaN, which never equals itself, and
+// menus saved under the legacy schema can have false instead of a price
+const isPrice = p => typeof p === "number" && !isNaN(p);
+const samePrice = (a, b) => a === b || (!isPrice(a) && !isPrice(b));
+
+const formatPrice = p => isPrice(p) ? `$${p.toFixed(2)}` : "varies";
+
+const byName = items => items.reduce((memo, item) => Object.assign(memo, { [item.name]: item }), {});
+
+/**
+ * Returns the changes between two lists of option sets, or undefined if there
+ * are none
+ */
+const diffOptionSets = (oldSets, newSets) => {
+  const oldByDescription = oldSets.reduce((m, s) => Object.assign(m, { [s.description]: s }), {});
+  const newByDescription = newSets.reduce((m, s) => Object.assign(m, { [s.description]: s }), {});
+
+  const changes = {
+    added: Object.keys(newByDescription).filter(d => !oldByDescription[d]),
+    removed: Object.keys(oldByDescription).filter(d => !newByDescription[d]),
+    required: [],
+    changed: [],
+  };
+  Object.keys(newByDescription).filter(d => oldByDescription[d]).forEach((description) => {
+    const oldSet = oldByDescription[description];
+    const newSet = newByDescription[description];
+    if (newSet.required && !oldSet.required) changes.required.push(description);
+
+    const optionKey = o => `${o.name}:${o.price}`;
+    const oldOptions = oldSet.options.map(optionKey).sort().join("|");
+    const newOptions = newSet.options.map(optionKey).sort().join("|");
+    if (oldOptions !== newOptions) changes.changed.push(description);
+  });
+
+  const count = changes.added.length + changes.removed.length + changes.required.length + changes.changed.length;
+  return count > 0 ? changes : undefined;
+};
+
+const describeOptionChange = ({ name, added, removed, required, changed }) => {
+  const parts = [];
+  if (added.length > 0) parts.push(`new ${added.join(", ")}`);
+  if (removed.length > 0) parts.push(`no more ${removed.join(", ")}`);
+  if (required.length > 0) parts.push(`${required.join(", ")} now required`);
+  if (changed.length > 0) parts.push(`different choices for ${changed.join(", ")}`);
+  return `${name}: ${parts.join("; ")}`;
+};
@@ -0,0 +1,86 @@
+/**
+ * Module for searching and browsing menus
+ *
+ * These functions read the menus written by the scraper and return plain data.
+ * Formatting the results for Slack is done in util/slack.js.
+ */
+
+const FuzzAldrin = require("fuzzaldrin");
+const Menu = require("../models/menu");
+
+// Menus scraped before sections were recorded are shown as a single section
+const DEFAULT_SECTION = "Menu";
+const MAX_RESULTS = 10;
+
+/**
+ * Search for items matching the given keywords, either in the given restaurant
+ * or across all restaurants. Returns an array of objects containing the
+ * restaurant name and the item.
+ */
+module.exports.searchItems = async (query, restaurantName) => {
+  const menus = restaurantName ? [await Menu.getMenu(restaurantName)] : await Menu.getAllMenus();
+  const candidates = menus.reduce((memo, menu) => {
+    if (!menu || !menu.items) return memo;
+    return memo.concat(menu.items.map(item => ({
+      name: item.name,
+      restaurant: menu.name,
+      item,
+    })));
+  }, []);
+
+  return FuzzAldrin.filter(candidates, query, { key: "name", maxResults: MAX_RESULTS });
+};
+
+/**
+ * Return one page of the given restaurant's menu, where each page is a section.
+ * The page can be chosen by number (starting at 1) or by section name. Returns
+ * false if the restaurant doesn't exist or hasn't been scraped.
+ */
+module.exports.getMenuPage = async (restaurantName, page, sectionName) => {
+  const menu = await Menu.getMenu(restaurantName);
+  if (!menu || !menu.items || menu.items.length === 0) return false;
+
+  const sections = toSections(menu.items);
+  let index = 0;
+  if (sectionName) {
+    const matches = FuzzAldrin.filter(sections, sectionName, { key: "name" });
+    if (matches.length > 0) index = sections.indexOf(matches[0]);
+  } else if (page) {
+    index = Math.min(Math.max(parseInt(page) - 1 || 0, 0), sections.length - 1);
+  }
+
+  return {
+    restaurant: menu.name,
+    url: menu.url,
+    minimum: menu.minimum,
+    page: index + 1,
+    pages: sections.length,
+    sections: sections.map(s => s.name),
+    section: sections[index],
+  };
+};
+
+/**
+ * Find a single item, either in the given restaurant or the best match across
+ * all restaurants. Returns an object containing the restaurant name and item,
+ * or false if nothing matches.
+ */
+module.exports.getItem = async (itemName, restaurantName) => {
+  const results = await module.exports.searchItems(itemName, restaurantName);
+  return results.length === 0 ? false : results[0];
+};
+
+/********************************** Helpers ***********************************/
+
+/**
+ * Groups the given items into sections, keeping the order they were scraped in
+ */
+const toSections = (items) => {
+  const sections = items.reduce((memo, item) => {
+    const name = item.section || DEFAULT_SECTION;
+    if (!memo[name]) memo[name] = { name, items: [] };
+    memo[name].items.push(item);
+    return memo;
+  }, {});
+  return Object.values(sections);
+};
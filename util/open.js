@@ -1,6 +1,22 @@
 
+const Storage = require("../storage");
+const Settings = require("../models/settings");
+const Calendar = require("../models/calendar");
 const Slack = require("./slack");
+const Poll = require("./poll");
+const Transform = require("./transform");
 (async () => {
-  await Slack.sendBasicMessage("Alfred is open for business!");
+  await Storage.init();
+
+  // Stay quiet on days that are closed in the calendar
+  const { closed, cutoff } = await Calendar.getSchedule();
+  if (closed) process.exit(0);
+
+  const earlyText = cutoff !== (await Settings.getSettings()).cutoff ? ` Orders close at ${Transform.formatTime(cutoff)} today.` : "";
+  const text = `Alfred is open for business!${earlyText}`;
+  await Slack.sendBasicMessage(text, undefined, Slack.withActions({ text }, Slack.quickActions()).blocks);
+
+  // Post the restaurant poll, if it's turned on
+  await Poll.openPoll();
   process.exit(0);
 })();
@@ -0,0 +1,129 @@
+/**
+ * Runs the optional daily restaurant poll
+ *
+ * The poll is posted in the morning by open.js. Once the deadline in settings
+ * has passed, the poll is closed the next time anyone looks at it (or by
+ * close_poll.js), and orders from restaurants that didn't win are discouraged
+ * or blocked depending on the poll mode setting.
+ */
+
+const Menu = require("../models/menu");
+const Polls = require("../models/polls");
+const Settings = require("../models/settings");
+const Calendar = require("../models/calendar");
+const Slack = require("./slack");
+const Transform = require("./transform");
+const RestaurantNames = require("./restaurant_names");
+
+// Slack only shows so many buttons nicely
+const MAX_CANDIDATES = 8;
+
+/**
+ * Creates today's poll and posts it to Slack, if the poll is turned on.
+ * Returns the poll's candidates, or undefined if there is no poll.
+ */
+module.exports.openPoll = async () => {
+  const { poll, pollDeadline } = await Calendar.getSchedule();
+  if (!poll) return;
+
+  const menus = (await Menu.getAllMenus()).filter(m => m.items && m.items.length > 0);
+  const candidates = shuffle(menus.map(m => m.name)).slice(0, MAX_CANDIDATES).sort();
+  await Polls.createPoll(Transform.dateKey(), candidates);
+
+  const text = `Where should we order from today? Vote by ${Transform.formatTime(pollDeadline)}!`;
+  const results = tallyVotes({ candidates, votes: {} });
+  await Slack.sendBasicMessage(text, undefined, Slack.withActions({ text }, Slack.pollActions(results)).blocks);
+  return candidates;
+};
+
+/**
+ * Returns today's poll, first closing it and announcing the winners if the
+ * deadline has passed
+ */
+const getPoll = async () => {
+  const date = Transform.dateKey();
+  const poll = await Polls.getPoll(date);
+  if (!poll || poll.closed) return poll;
+
+  const { pollDeadline, pollWinners } = await Calendar.getSchedule();
+  const now = new Date();
+  if (now.getHours() * 100 + now.getMinutes() <= pollDeadline) return poll;
+
+  const closed = await Polls.closePoll(date, chooseWinners(tallyVotes(poll), pollWinners));
+  if (!closed) return Polls.getPoll(date);
+
+  const results = tallyVotes(closed);
+  const text = closed.winners.length > 0
+    ? `The poll is closed! Today's ${closed.winners.length > 1 ? "restaurants are" : "restaurant is"} *${closed.winners.join("* and *")}*.`
+    : "The poll is closed, but nobody voted. Order from anywhere!";
+  await Slack.sendBasicMessage(text, Slack.formatPoll(results, closed.winners));
+  return closed;
+};
+module.exports.getPoll = getPoll;
+
+/**
+ * Records the user's vote in today's poll. Returns an error message, or the
+ * updated poll if the vote was counted.
+ */
+module.exports.vote = async (slackId, restaurant) => {
+  const poll = await getPoll();
+  if (!poll) return { error: "There's no poll today." };
+  if (poll.closed) return { error: "The poll is already closed." };
+
+  const wanted = String(restaurant).toLowerCase();
+  const candidate = poll.candidates.find(c => RestaurantNames.restaurantVariants(c).some(v => v.toLowerCase() === wanted));
+  if (!candidate) return { error: `${restaurant} isn't in today's poll. You can vote for ${poll.candidates.join(", ")}.` };
+
+  const updated = await Polls.vote(poll._id, slackId, candidate);
+  return updated ? { poll: updated } : { error: "The poll is already closed." };
+};
+
+/**
+ * Checks whether the given restaurant lost today's poll. Returns undefined if
+ * ordering from it is fine, otherwise the message to show and whether the
+ * order should be blocked.
+ */
+module.exports.checkRestaurant = async (restaurant) => {
+  const poll = await getPoll();
+  if (!poll || !poll.closed || poll.winners.length === 0 || poll.winners.includes(restaurant)) return;
+
+  const { pollMode } = await Settings.getSettings();
+  const winners = poll.winners.join(" or ");
+  return pollMode === "block"
+    ? { blocked: true, text: `${restaurant} didn't win today's poll, so you can only order from ${winners}.` }
+    : { blocked: false, text: `Heads up: ${restaurant} didn't win today's poll. Ordering from ${winners} helps meet the delivery minimum.` };
+};
+
+/**
+ * Returns the candidates with their vote counts and voters, most votes first
+ */
+const tallyVotes = ({ candidates, votes }) => {
+  return candidates.map((restaurant) => {
+    const voters = Object.keys(votes).filter(slackId => votes[slackId] === restaurant);
+    return { restaurant, votes: voters.length, voters };
+  }).sort((a, b) => b.votes - a.votes);
+};
+module.exports.tallyVotes = tallyVotes;
+
+/********************************** Helpers ***********************************/
+
+/**
+ * Returns the restaurants with the most votes. Restaurants tied for the last
+ * winning spot all win, and restaurants without votes never win.
+ */
+const chooseWinners = (results, count) => {
+  const voted = results.filter(r => r.votes > 0);
+  if (voted.length <= count) return voted.map(r => r.restaurant);
+
+  const minimum = voted[count - 1].votes;
+  return voted.filter(r => r.votes >= minimum).map(r => r.restaurant);
+};
+
+const shuffle = (array) => {
+  const shuffled = array.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
@@ -0,0 +1,42 @@
+/**
+ * Matching the names people use for restaurants. Kept free of requires so
+ * that both the menu model and transform can use it.
+ */
+
+// Words that are too generic to identify a restaurant on their own
+module.exports.GENERIC_WORDS = ["the", "and", "of", "place", "kitchen", "restaurant", "cafe", "house", "bar", "grill"];
+
+/**
+ * Normalizes a restaurant name or alias for comparison, e.g. "The Ike's Place"
+ * becomes "ikes place"
+ */
+module.exports.normalizeName = name => String(name)
+  .toLowerCase()
+  .replace(/&/g, "and")
+  .replace(/[^a-z0-9 ]/g, "")
+  .replace(/^the /, "")
+  .replace(/ +/g, " ")
+  .trim();
+
+/**
+ * Returns the ways people are likely to refer to the given restaurant, e.g.
+ * "Little Szechuan" becomes "Little Szechuan", "Lil Szechuan", "Szechuan", etc.
+ */
+module.exports.restaurantVariants = (name) => {
+  const variants = permutations(name.replace(/[()]/gi, "").split(" "));
+  return [name].concat(variants)
+    .concat(variants.map(s => s.replace("&", "and")))
+    .concat(variants.map(s => s.replace("Little", "Lil")))
+    .concat(variants.map(s => s.replace(/[^a-z ]/gi, "")))
+    .filter((value, idx, self) => self.indexOf(value) === idx);
+};
+
+/**
+ * Returns all subsequences of the given words, keeping their order
+ */
+const permutations = (words) => {
+  if (words.length === 1) return [words[0]];
+
+  const sub = permutations(words.slice(1));
+  return sub.map(s => `${words[0]} ${s}`).concat(sub).concat(words[0]);
+};
@@ -3,12 +3,22 @@
  *
  * This script will scrape the data for all menus for each restaurant on
  * Grubhub, and store the data persistently in the `data/` subdirectory.
+ *
+ * Restaurants scraped in the last day are skipped unless --all is given. Any
+ * other arguments are restaurant names, in which case only those are scraped.
  */
 
 const puppeteer = require("puppeteer");
-const MongoClient = require("mongodb").MongoClient;
+const Storage = require("../storage");
 const Menu = require("../models/menu");
+const Settings = require("../models/settings");
 const Transform = require("./transform");
+const Favorites = require("./favorites");
+const MenuDiff = require("./menu_diff");
+const MenuVersions = require("../models/menu_versions");
+const Users = require("../models/users");
+const Orders = require("../models/orders");
+const Slack = require("./slack");
 const priv = require("../private");
 const logger = require("../logger")("scraper");
 
@@ -16,11 +26,15 @@ const URLS = {
   login: "https://www.grubhub.com/login",
   chooseRest: "https://www.grubhub.com/lets-eat",
 };
-const ORDER_TIME = 1730; // 5:30pm
 const OPTION_REGEX = /^([a-zA-Z0-9&*.\/_%\-\\()'"`, ]+)( \+[ ]?\$([0-9.]+))?$/;
 const DO_ALL = process.argv.reduce((m, a) => m || a === "--all", false);
+const ONLY = process.argv.slice(2).filter(a => !a.startsWith("--"));
+
+// The delivery time from settings, read once logged in
+let orderTime;
 
 (async () => {
+  await Storage.init();
   const browser = await puppeteer.launch({
     executablePath: "/usr/bin/chromium-browser",
   });
@@ -30,9 +44,13 @@ const DO_ALL = process.argv.reduce((m, a) => m || a === "--all", false);
     await loginToGrubhub(page);
     logger.info("Logged in");
 
+    orderTime = (await Settings.getSettings()).deliveryTime;
+
     const yesterday = new Date();
     yesterday.setDate(yesterday.getDate() - 1);
     const restaurants = (await Menu.getAllMenus()).reduce((memo, { updated, name }) => {
+      if (ONLY.length > 0) return ONLY.includes(name) ? memo.concat(name) : memo;
+
       // No need to re-scrape restaurants scraped recently
       return (updated > yesterday && !DO_ALL) ? memo : memo.concat(name);
     }, []);
@@ -40,12 +58,18 @@ const DO_ALL = process.argv.reduce((m, a) => m || a === "--all", false);
 
     let successful = 0;
     const failed = [];
+    const changes = [];
     for (let i = 0; i < restaurants.length; i++) {
       await goToRestaurant(page, restaurants[i]);
       const scrapeResult = await scrapeRestaurant(page, restaurants[i]);
       if (scrapeResult.successful) {
-        await Menu.updateMenu(scrapeResult.data);
+        const previous = await Menu.updateMenu(scrapeResult.data);
         successful++;
+
+        // Keep a version whenever the menu changes
+        const diff = previous && MenuDiff.diffMenus(previous, scrapeResult.data);
+        if (!diff || !MenuDiff.isEmpty(diff)) await MenuVersions.recordVersion(scrapeResult.data, diff);
+        if (diff && !MenuDiff.isEmpty(diff)) changes.push({ restaurant: restaurants[i], diff });
       } else {
         failed.push(scrapeResult);
       }
@@ -56,6 +80,18 @@ const DO_ALL = process.argv.reduce((m, a) => m || a === "--all", false);
       logger.error("Failed restaurants:");
       failed.forEach(f => { logger.error(f.name); logger.error(f.error); });
     }
+
+    logger.info(`${changes.length} menus changed`);
+    if (changes.length > 0) {
+      await Slack.sendMenuChangesMessage(changes);
+      await notifyAffectedUsers(changes);
+    }
+
+    // Flag favorites that no longer match the updated menus
+    const scraped = restaurants.filter(name => !failed.some(f => f.name === name));
+    const stale = await Favorites.checkFavorites(scraped);
+    logger.info(`${stale.length} stale favorites`);
+    if (stale.length > 0) await Slack.sendStaleFavoritesMessage(stale);
     await browser.close();
   } catch (err) {
     logger.error(err);
@@ -63,6 +99,42 @@ const DO_ALL = process.argv.reduce((m, a) => m || a === "--all", false);
   process.exit(0);
 })();
 
+/**
+ * Sends a direct message to each user whose favorites or order for today
+ * include items that changed, given a list of { restaurant, diff }
+ */
+const notifyAffectedUsers = async (changes) => {
+  const users = await Users.getUsersWithFavorites();
+  const orders = await Orders.getOrders();
+
+  // Slack ID -> attachments for that user
+  const affected = {};
+  const addAffected = (slackId, title, lines) => {
+    if (lines.length === 0) return;
+    if (!affected[slackId]) affected[slackId] = [];
+    affected[slackId].push({ fallback: title, color: "warning", title, text: lines.join("\n") });
+  };
+
+  for (const { restaurant, diff } of changes) {
+    users.forEach(({ slackId, favorites }) => {
+      favorites.filter(f => f.restaurant === restaurant).forEach((favorite) => {
+        addAffected(slackId, `Your ${Slack.formatFavoriteName(favorite)}`, MenuDiff.describeAffected(diff, favorite.items));
+      });
+    });
+    orders.filter(o => o.restaurant === restaurant && !o.isDonor).forEach(({ slackId, items }) => {
+      addAffected(slackId, `Your order from ${restaurant} today`, MenuDiff.describeAffected(diff, items));
+    });
+  }
+
+  for (const slackId of Object.keys(affected)) {
+    try {
+      await Slack.sendDirectMessage(slackId, "Heads up, the menu changed for some of your orders:", affected[slackId]);
+    } catch (err) {
+      logger.error(`Couldn't message ${slackId}: ${err}`);
+    }
+  }
+};
+
 /**
  * Logs the given page into Grubhub
  */
@@ -147,6 +219,11 @@ const scrapeRestaurant = async (page, name) => {
       await page.waitFor(1000);
 
       const item = {};
+      item.section = await page.evaluate((e) => {
+        const section = e.closest("div.menuSection");
+        const heading = section && section.querySelector("h3");
+        return heading ? heading.innerText.trim() : "";
+      }, itemBoxes[j]);
       item.name = await page.$eval("h3.menuItemModal-name", e => e.textContent);
       item.price = await page.$eval("h5.menuItemModal-price", e => parseFloat(e.textContent.substring(1)));
 
@@ -210,11 +287,11 @@ const scrapeRestaurant = async (page, name) => {
 };
 
 /**
- * Converts the constant ORDER_TIME to a date ISO string
+ * Converts the delivery time from settings to a date ISO string
  */
 const timeToString = () => {
   const now = new Date();
-  now.setHours(Math.floor(ORDER_TIME / 100), ORDER_TIME % 100, 0, 0);
+  now.setHours(Math.floor(orderTime / 100), orderTime % 100, 0, 0);
   // Set date to the next Monday
   now.setDate(now.getDate() + (7 - now.getDay()) % 7 + 1);
   return now.toISOString();
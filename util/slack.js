@@ -4,10 +4,19 @@
 
 const request = require("request");
 const Users = require("../models/users");
+const Menu = require("../models/menu");
+const Settings = require("../models/settings");
+const Calendar = require("../models/calendar");
+const Transform = require("./transform");
+const Diet = require("./diet");
+const MenuDiff = require("./menu_diff");
 const priv = require("../private");
 const fs = require("fs");
 
-const sendMessage = (text, attachments) => {
+// Changes shown per restaurant in the menu changes summary
+const MAX_CHANGE_LINES = 15;
+
+const sendMessage = (text, attachments, blocks) => {
   return new Promise((resolve, reject) => {
     request({
       url: priv.slackOutgoingUrl,
@@ -15,6 +24,7 @@ const sendMessage = (text, attachments) => {
       json: {
         text,
         attachments,
+        blocks,
         channel: priv.slackChannel,
       },
     }, (err, response, body) => {
@@ -29,12 +39,60 @@ const sendMessage = (text, attachments) => {
 
 module.exports.sendBasicMessage = sendMessage;
 
+/**
+ * Posts the given message to the response URL of a Slack interaction
+ */
+module.exports.respond = (responseUrl, message) => {
+  return new Promise((resolve, reject) => {
+    request({
+      url: responseUrl,
+      method: "POST",
+      json: message,
+    }, (err, response, body) => {
+      if (err || response.statusCode !== 200) {
+        reject(err || body);
+      } else {
+        resolve();
+      }
+    });
+  });
+};
+
+/**
+ * Calls the given Slack Web API method (e.g. views.open) using the bot token
+ */
+module.exports.callApi = (method, args) => {
+  return new Promise((resolve, reject) => {
+    request({
+      url: `https://slack.com/api/${method}`,
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${priv.slackBotToken}`,
+      },
+      json: args,
+    }, (err, response, body) => {
+      if (err || !body.ok) {
+        reject(err || body.error);
+      } else {
+        resolve(body);
+      }
+    });
+  });
+};
+
+/**
+ * Sends a direct message to the given user from the bot
+ */
+module.exports.sendDirectMessage = async (slackId, text, attachments) => {
+  await module.exports.callApi("chat.postMessage", { channel: slackId, text, attachments });
+};
+
 const atUser = slackId => `<@${slackId}>`;
 module.exports.atUser = atUser;
 
-// Formats the given stats
+// Formats the given stats. Leaderboards and rankings are only shown if present
 module.exports.statsFormatter = (stats) => {
-  if (!stats.dollarStats && !stats.dishes) {
+  if (!stats.dollars && !stats.dishes) {
     return "```No stats```";
   }
 
@@ -45,13 +103,35 @@ module.exports.statsFormatter = (stats) => {
     callStats = `Total calls received: ${stats.calls}\n\n`;
   }
 
+  let restaurantStats = "";
+  if (stats.rank) {
+    restaurantStats = `Items ordered: ${stats.items}\nPopularity: #${stats.rank.place} of ${stats.rank.of} restaurants\n\n`;
+  }
+
+  const leaderboards = [
+    formatLeaderboard("Most calls received", stats.callers, c => `${c.calls} call${c.calls === 1 ? "" : "s"}`),
+    formatLeaderboard("Biggest spenders", stats.spenders, s => `$${s.dollars.toFixed(2)}`),
+    formatLeaderboard("Top eaters", stats.eaters, e => `${e.items} item${e.items === 1 ? "" : "s"}, $${e.dollars.toFixed(2)}`),
+    formatLeaderboard("Most popular restaurants", stats.restaurants, (r) => {
+      return `${r.items} item${r.items === 1 ? "" : "s"}, $${r.dollars.toFixed(2)}, ${r.eaters} ${r.eaters === 1 ? "person" : "people"}`;
+    }),
+  ].join("");
+
   const dishStatsPrefix = "Top dishes:\n";
   const dishStats = stats.dishes.map((d) => {
     const rest = d.restaurant ? ` from ${d.restaurant}` : "";
     return `  ${d.count} of "${d.itemName}"${rest}`;
   }).join("\n");
   const otherMessage = Math.random() > 0.8 ? "\n\nWant other stats? Message Ajay!" : "";
-  return `\`\`\`${dollarStats}${callStats}${dishStatsPrefix}${dishStats}${otherMessage}\`\`\``;
+  return `\`\`\`${dollarStats}${callStats}${restaurantStats}${leaderboards}${dishStatsPrefix}${dishStats}${otherMessage}\`\`\``;
+};
+
+// Formats a ranked list of users or restaurants, or nothing if there are none
+const formatLeaderboard = (title, entries, describe) => {
+  if (!entries || entries.length === 0) return "";
+
+  const lines = entries.map((e, i) => `  ${i + 1}. ${e.name || e.restaurant}: ${describe(e)}`);
+  return `${title}:\n${lines.join("\n")}\n\n`;
 };
 
 /**
@@ -68,6 +148,7 @@ module.exports.statsFormatter = (stats) => {
  * ],
  */
 module.exports.sendFinishedMessage = async (parts, dry) => {
+  const { cutoff, deliveryTime } = await Calendar.getSchedule();
   if (dry) {
     const attachments = parts.reduce((memo, part) => {
       if (part.successful) return memo;
@@ -76,13 +157,13 @@ module.exports.sendFinishedMessage = async (parts, dry) => {
       return memo.concat({
         color: "danger",
         title: part.restaurant,
-        text: part.errors.concat(`FYI: ${userAts.join(", ")}`).join("\n"),
+        text: part.errors.concat(formatDiagnostics(part.diagnostics), `FYI: ${userAts.join(", ")}`).filter(l => l).join("\n"),
       });
     }, []);
 
     // Don't send attachments if all restaurants will be successful
     if (attachments.length === 0) {
-      await sendMessage("Everything looks good! I'll put in the order at 3:30pm.");
+      await sendMessage(`Everything looks good! I'll put in the order at ${Transform.formatTime(cutoff)}.`);
     } else {
       const succOrders = parts
         .filter(p => p.successful)
@@ -108,7 +189,7 @@ module.exports.sendFinishedMessage = async (parts, dry) => {
         if (!dry) attachment.text = `${atUser(part.userCall)} will receive the call.`;
       } else {
         attachment.title = `${part.restaurant} (${dry ? "no order" : "failed"})`;
-        attachment.text = part.errors.join("\n");
+        attachment.text = part.errors.concat(formatDiagnostics(part.diagnostics)).filter(l => l).join("\n");
         const userAts = part.users.map(u => atUser(u.slackId));
         attachment.text += `\nFYI: ${userAts.join(", ")}`;
       }
@@ -117,21 +198,74 @@ module.exports.sendFinishedMessage = async (parts, dry) => {
 
     const n = JSON.parse(fs.readFileSync(`${__dirname}/../private.json`, "utf8"));
     await sendMessage(
-      "Alfred ordered from the following restaurants for delivery at 5:30pm.\n" +
+      `Alfred ordered from the following restaurants for delivery at ${Transform.formatTime(deliveryTime)}.\n` +
       `Today's credentials are \`${n.confUsername}:${n.dailyPassword}\``,
       attachments
     );
   }
 };
 
+/**
+ * Returns a line naming the step (and item) an order failed on, with links to
+ * its screenshot, page and trace, or nothing if there are no diagnostics
+ */
+const formatDiagnostics = (diagnostics) => {
+  if (!diagnostics) return;
+
+  const links = [["screenshot", diagnostics.screenshotUrl], ["page", diagnostics.snapshotUrl], ["trace", diagnostics.traceUrl]]
+    .filter(([, url]) => url)
+    .map(([text, url]) => `<${url}|${text}>`);
+  const item = diagnostics.item ? ` on ${diagnostics.item}` : "";
+  return `Failed at \`${diagnostics.step}\`${item}.${links.length > 0 ? ` Diagnostics: ${links.join(", ")}` : ""}`;
+};
+
+/**
+ * Lets users know that their favorites no longer match the menu (see
+ * Favorites.checkFavorites)
+ */
+module.exports.sendStaleFavoritesMessage = async (stale) => {
+  const attachments = stale.map(({ slackId, name, restaurant, errors }) => ({
+    fallback: `Favorite from ${restaurant}`,
+    color: "warning",
+    pretext: `${atUser(slackId)}'s ${formatFavoriteName({ name, restaurant })}:`,
+    text: errors.map(e => `• ${e}`).join("\n"),
+  }));
+  await sendMessage("Some favorites are out of date after the latest menu update. Please set them again!", attachments);
+};
+
+/**
+ * Posts a summary of the menu changes found by the scraper, given a list of
+ * { restaurant, diff } (see util/menu_diff.js)
+ */
+module.exports.sendMenuChangesMessage = async (changes) => {
+  const attachments = changes.map(({ restaurant, diff }) => {
+    const lines = MenuDiff.describeDiff(diff);
+    const shown = lines.slice(0, MAX_CHANGE_LINES);
+    if (lines.length > shown.length) shown.push(`_...and ${lines.length - shown.length} more_`);
+    return {
+      fallback: `${restaurant} menu changes`,
+      color: diff.removed.length > 0 ? "warning" : "#aaa",
+      title: restaurant,
+      text: shown.join("\n"),
+    };
+  });
+  await sendMessage("Some menus have changed since they were last scraped:", attachments);
+};
+
 /**
  * Formats the given items into an array of "attachments" ready to send to
- * Slack
+ * Slack. If the user's diet is given, items that may conflict with it are
+ * flagged.
  */
-module.exports.formatItems = (items) => {
-  const itemAtts = items.map(({ item, options, comments, successful, subtotal, errors }) => {
+module.exports.formatItems = async (items, diet) => {
+  const { budget } = await Settings.getSettings();
+  const itemAtts = items.map(({ item, options, comments, successful, subtotal, errors, quantity }) => {
     const optionList = [];
     if (errors) optionList.push(...errors.map(e => `_${e}_`));
+    if (diet && successful) {
+      const names = [item.name].concat(options.filter(o => o.successful).map(o => o.name));
+      optionList.push(...Diet.findConflicts(names, diet).map(c => `:warning: _${c}_`));
+    }
     if (options) optionList.push(...options.map(o => `${o.successful ? "+" : "-"} ${o.name.replace(/[*\\]/g, "")}`));
     if (comments && comments.length > 0) optionList.push(`_Other comments:_ ${comments.join(", ")}`);
 
@@ -139,10 +273,11 @@ module.exports.formatItems = (items) => {
     if (subtotal) footer = `$${subtotal.toFixed(2)}`;
     if (item.suggestion) footer = `Did you mean _${item.suggestion}_?`;
 
+    const title = quantity > 1 ? `${quantity}x ${item.name}` : item.name;
     return {
-      fallback: item.name,
+      fallback: title,
       color: successful ? "good" : "danger",
-      title: item.name,
+      title,
       text: optionList.join("\n"),
       footer,
     };
@@ -155,10 +290,329 @@ module.exports.formatItems = (items) => {
     title: "Subtotal",
     text: `$${orderSubtotal}`,
   };
-  if (orderSubtotal > 25) {
+  if (orderSubtotal > budget) {
     orderSubtotalAtt.color = "warning";
     orderSubtotalAtt.footer = "This order exceeds your personal budget";
   }
 
   return itemAtts.concat(orderSubtotalAtt);
 };
+
+/**
+ * Formats the given order history entries into an array of "attachments" ready
+ * to send to Slack
+ */
+module.exports.formatHistory = (entries) => {
+  return entries.map(({ date, restaurant, items, amount, successful }) => {
+    const itemText = items.map(({ item, options, comments, quantity }) => {
+      const optionNames = options.filter(o => o.successful).map(o => o.name).concat(comments || []);
+      const quantityText = quantity > 1 ? `${quantity}x ` : "";
+      return `• ${quantityText}${item.name}${optionNames.length > 0 ? ` (${optionNames.join(", ")})` : ""}`;
+    });
+
+    return {
+      fallback: `${restaurant} on ${Transform.formatDate(date)}`,
+      color: successful ? "good" : "danger",
+      title: `${restaurant} on ${Transform.formatDate(date)}`,
+      text: itemText.join("\n"),
+      footer: `$${(amount || 0).toFixed(2)}${successful ? "" : " (order failed)"}`,
+    };
+  });
+};
+
+/**
+ * Formats the given menu search results into a message ready to send to Slack
+ */
+module.exports.formatSearchResults = (results, query) => {
+  if (results.length === 0) return { text: `No items matching "${query}" were found.` };
+
+  const lines = results.map(({ restaurant, item }) => {
+    const options = item.optionSets && item.optionSets.length > 0 ? " _(has options)_" : "";
+    return `• *${item.name}* from ${restaurant}: ${formatPrice(item.price)}${options}`;
+  });
+  return { text: `Here are the items matching "${query}":\n${lines.join("\n")}` };
+};
+
+/**
+ * Formats one page (section) of a menu into a message ready to send to Slack
+ */
+module.exports.formatMenuPage = ({ restaurant, url, minimum, page, pages, sections, section }) => {
+  const width = 8;
+  const itemText = section.items.map((item) => {
+    let priceText = formatPrice(item.price);
+    while (priceText.length < width) priceText += " ";
+    const hasRequired = item.optionSets && item.optionSets.some(s => s.required);
+    return `${priceText} ${item.name}${hasRequired ? " *" : ""}`;
+  }).join("\n");
+
+  const sectionList = sections.map((name, i) => `${i + 1}. ${name}`).join("\n");
+  const nextText = page < pages ? `Say _alfred show page ${page + 1} of the ${restaurant} menu_ for more.\n` : "";
+  return {
+    text: [
+      `Here's the menu for ${formatLink(url, restaurant)} (page ${page} of ${pages}):`,
+      "```",
+      `Delivery minimum: $${(minimum || 0).toFixed(2)}`,
+      "",
+      `${section.name}:`,
+      itemText,
+      "```",
+      "Items marked with * have required options.",
+    ].join("\n"),
+    attachments: [{
+      color: "#aaa",
+      title: "Sections",
+      text: sectionList,
+      footer: `${nextText}Ask about an item to see its options.`,
+    }],
+  };
+};
+
+/**
+ * Formats the option sets of an item into a message ready to send to Slack
+ */
+module.exports.formatItemOptions = ({ restaurant, item }) => {
+  const optionSets = item.optionSets || [];
+  const attachments = optionSets.map((set) => {
+    const optionText = set.options.map(o => `${o.price ? `+$${o.price.toFixed(2)}` : "free"}  ${o.name}`);
+    return {
+      fallback: set.description,
+      color: set.required ? "warning" : "#aaa",
+      title: `${set.description} (${set.required ? "required, choose one" : "optional"})`,
+      text: optionText.join("\n"),
+    };
+  });
+
+  const noOptions = optionSets.length === 0 ? "\nThis item has no options." : "";
+  return {
+    text: `*${item.name}* from ${restaurant}: ${formatPrice(item.price)}${noOptions}`,
+    attachments,
+  };
+};
+
+/**
+ * Formats the given settings into a code block
+ */
+module.exports.formatSettings = (settings) => {
+  const { cutoff, deliveryTime, budget, admins, poll, pollDeadline, pollWinners, pollMode } = settings;
+  const { openTime, dryRunTime, dailyTasksTime, scrapeDay, scrapeTime } = settings;
+  return [
+    "```",
+    `Cutoff:        ${Transform.formatTime(cutoff)}`,
+    `Delivery time: ${Transform.formatTime(deliveryTime)}`,
+    `Budget:        $${budget.toFixed(2)} per person`,
+    `Poll:          ${poll ? "on" : "off"}`,
+    `Poll deadline: ${Transform.formatTime(pollDeadline)}`,
+    `Poll winners:  ${pollWinners}`,
+    `Poll mode:     ${pollMode}`,
+    `Open time:     ${Transform.formatTime(openTime)}`,
+    `Dry run time:  ${Transform.formatTime(dryRunTime)}`,
+    `Daily tasks:   ${Transform.formatTime(dailyTasksTime)}`,
+    `Scrape:        ${Transform.formatWeekday(scrapeDay)}s at ${Transform.formatTime(scrapeTime)}`,
+    "```",
+    `Admins: ${admins.map(atUser).join(", ")}`,
+  ].join("\n");
+};
+
+/**
+ * Formats the days from Calendar.getUpcomingDays
+ */
+const DAY_SETTING_NAMES = {
+  cutoff: "cutoff",
+  deliveryTime: "delivery",
+  openTime: "opens",
+  dryRunTime: "dry run",
+  pollDeadline: "poll closes",
+};
+module.exports.formatCalendar = (days) => {
+  return days.map(({ date, closed, reason, settings }) => {
+    if (closed) return `• ${Transform.formatDate(date)}: closed${reason ? ` for ${reason}` : ""}`;
+
+    const changes = Object.keys(settings || {}).map(k => `${DAY_SETTING_NAMES[k]} at ${Transform.formatTime(settings[k])}`);
+    return `• ${Transform.formatDate(date)}: ${changes.join(", ")}`;
+  }).join("\n");
+};
+
+/**
+ * Formats the jobs from Scheduler.getJobs, with their schedules and how they
+ * last went
+ */
+module.exports.formatJobs = (jobs) => {
+  const formatDays = (days) => {
+    if (days === "daily") return "Every day";
+    if (days === "workdays") return "Workdays";
+    return `${Transform.formatWeekday(days)}s`;
+  };
+  const formatRun = ({ running, lastRun, outcome }) => {
+    if (running) return "running now";
+    if (!lastRun) return "hasn't run yet";
+    const time = lastRun.getHours() * 100 + lastRun.getMinutes();
+    return `${outcome}, ${Transform.formatDate(Transform.dateKey(lastRun))} at ${Transform.formatTime(time)}`;
+  };
+  return jobs.map((job) => {
+    return `• *${job.name}* (${formatDays(job.days)} at ${Transform.formatTime(job.time)}): ${formatRun(job)}\n    _${job.description}_`;
+  }).join("\n");
+};
+
+/**
+ * Adds the given blocks to a message. Slack doesn't show the text of messages
+ * with blocks, so the text is repeated as the first block.
+ */
+module.exports.withActions = (message, blocks) => {
+  if (blocks.length === 0) return message;
+
+  return Object.assign({}, message, {
+    blocks: [{
+      type: "section",
+      text: { type: "mrkdwn", text: message.text },
+    }].concat(blocks),
+  });
+};
+
+/**
+ * Returns blocks for fixing the given items (the output of
+ * Transform.correctItems for the given parsed items): a button for each
+ * suggested item and a menu for the first missing required option of each item.
+ * See interactive.js for how these are handled.
+ */
+module.exports.orderActions = async (fixedItems, parsed, restaurant) => {
+  const menu = await Menu.getMenu(restaurant);
+
+  return fixedItems.reduce((blocks, fixedItem, i) => {
+    if (fixedItem.successful) return blocks;
+    const quantity = fixedItem.quantity || 1;
+
+    if (fixedItem.options && fixedItem.errors) {
+      // Item was found but required options are missing
+      const menuItem = menu.items.find(item => item.name === fixedItem.item.name);
+      const setIndex = menuItem.optionSets.findIndex(set => set.required && fixedItem.errors.includes(set.description));
+      const blockId = JSON.stringify({
+        restaurant,
+        item: menuItem.name,
+        options: fixedItem.options.map(o => o.name).concat(fixedItem.comments || []),
+        quantity,
+      });
+
+      // Block IDs are limited to 255 characters
+      if (setIndex === -1 || blockId.length > 255) return blocks;
+
+      const optionSet = menuItem.optionSets[setIndex];
+      return blocks.concat({
+        type: "section",
+        block_id: blockId,
+        text: { type: "mrkdwn", text: `*${menuItem.name}* needs a choice for _${optionSet.description}_:` },
+        accessory: {
+          type: "static_select",
+          action_id: "order_option",
+          placeholder: { type: "plain_text", text: "Choose one" },
+          options: optionSet.options.slice(0, 100).map((option, j) => ({
+            text: { type: "plain_text", text: truncate(`${option.name}${option.price ? ` (+$${option.price.toFixed(2)})` : ""}`) },
+            value: `${setIndex}:${j}`,
+          })),
+        },
+      });
+    } else if (fixedItem.item.suggestion) {
+      const suggestion = fixedItem.item.suggestion;
+      return blocks.concat({
+        type: "section",
+        text: { type: "mrkdwn", text: `Did you mean *${suggestion}* instead of _${fixedItem.item.name}_?` },
+        accessory: {
+          type: "button",
+          action_id: "order_suggestion",
+          text: { type: "plain_text", text: truncate(`Order ${suggestion}`) },
+          value: JSON.stringify({ restaurant, item: suggestion, options: parsed[i][1], quantity }),
+        },
+      });
+    }
+    return blocks;
+  }, []);
+};
+
+/**
+ * Returns blocks with buttons for changing an existing order
+ */
+module.exports.editActions = () => [{
+  type: "actions",
+  elements: [
+    button("edit_order", "Edit my order"),
+    button("forget_order", "Forget my order", "danger"),
+  ],
+}];
+
+/**
+ * Returns blocks with buttons for ordering without typing
+ */
+module.exports.quickActions = () => [{
+  type: "actions",
+  elements: [
+    button("order_favorite", "Order my favorite", "primary"),
+    button("forget_order", "Forget my order", "danger"),
+  ],
+}];
+
+/**
+ * Returns blocks with a vote button for each restaurant in the poll results
+ * (see Poll.tallyVotes). Slack allows up to 5 buttons per actions block, and
+ * their action IDs must be unique, so each is numbered (poll_vote_0 etc.).
+ */
+module.exports.pollActions = (results) => {
+  const blocks = [];
+  for (let i = 0; i < results.length; i += 5) {
+    blocks.push({
+      type: "actions",
+      elements: results.slice(i, i + 5).map(({ restaurant }, j) => {
+        return Object.assign(button(`poll_vote_${i + j}`, truncate(restaurant)), { value: restaurant });
+      }),
+    });
+  }
+  return blocks;
+};
+
+/**
+ * Formats poll results (see Poll.tallyVotes) into an array of "attachments"
+ * ready to send to Slack. Winners, if any, are highlighted.
+ */
+module.exports.formatPoll = (results, winners = []) => {
+  const text = results.map(({ restaurant, votes, voters }) => {
+    const bar = "█".repeat(votes);
+    const who = voters.length > 0 ? ` (${voters.map(atUser).join(", ")})` : "";
+    const name = winners.includes(restaurant) ? `*${restaurant}*` : restaurant;
+    return `${name}: ${bar ? `${bar} ` : ""}${votes}${who}`;
+  }).join("\n");
+
+  return [{
+    fallback: "Poll results",
+    color: winners.length > 0 ? "good" : undefined,
+    text,
+  }];
+};
+
+/**
+ * Returns how to refer to a favorite, e.g. "favorite from Newa" or "favorite
+ * \"spicy lunch\" from Newa"
+ */
+const formatFavoriteName = ({ name, restaurant }) => {
+  return name === restaurant ? `favorite from ${restaurant}` : `favorite "${name}" from ${restaurant}`;
+};
+module.exports.formatFavoriteName = formatFavoriteName;
+
+/**
+ * Returns a link to the given url, or just the text if there is no url (like
+ * for menus loaded from data/menu_data.json)
+ */
+const formatLink = (url, text) => url ? `<${url}|${text}>` : text;
+module.exports.formatLink = formatLink;
+
+/********************************** Helpers ***********************************/
+
+const button = (actionId, text, style) => ({
+  type: "button",
+  action_id: actionId,
+  text: { type: "plain_text", text },
+  style,
+});
+
+// Plain text in options and buttons is limited to 75 characters
+const truncate = text => text.length > 75 ? `${text.substring(0, 74)}…` : text;
+
+
+const formatPrice = price => price ? `$${price.toFixed(2)}` : "Unknown";
@@ -7,7 +7,6 @@
  */
 
 const FuzzAldrin = require("fuzzaldrin");
-const MongoClient = require("mongodb").MongoClient;
 const Levenshtein = require("fast-levenshtein");
 const Menu = require("../models/menu");
 
@@ -32,14 +31,15 @@ module.exports.indexByRestaurantAndUser = (data) => {
       };
     }
 
-    const simplifiedItems = order.items.map(({ item, options, comments }) => {
-      return [item.name, options.filter(o => o.successful).map(o => o.name), comments];
+    const simplifiedItems = order.items.map(({ item, options, comments, quantity }) => {
+      return [item.name, options.filter(o => o.successful).map(o => o.name), comments, quantity || 1];
     });
     memo[order.restaurant].users.push({
       slackId: order.slackId,
       username: order.username,
       items: simplifiedItems,
       isDonor: order.isDonor,
+      isVolunteer: order.isVolunteer,
     });
     return memo;
   }, {});
@@ -55,10 +55,16 @@ module.exports.indexByRestaurantAndUser = (data) => {
 
 /**
  * Given a string containing a list of orders and a restaurant, parses out the
- * items and options
+ * items, options and quantities. Identical items are merged into one with a
+ * larger quantity.
  */
 const ARTICLE_REGEX = /^(?:(the|a|an|some) +)/;
 const OPTIONS_REGEX = /\((.*)\)/;
+// A bare leading number could be part of the name, like "7 Up", so it's left
+// for correctItems to decide
+const QUANTITY_PREFIX_REGEX = /^(?:(\d+) *x|(one|two|three|four|five|six|seven|eight|nine|ten)(?: *x)?) +(.+)$/i;
+const QUANTITY_SUFFIX_REGEX = /^(.+?) +x *(\d+)$/i;
+const QUANTITY_WORDS = ["one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten"];
 module.exports.parseOrders = (input) => {
   const parts = [""];
   let parenCount = 0;
@@ -80,26 +86,45 @@ module.exports.parseOrders = (input) => {
         }
       }
     }
-    parts[parts.length - 1] += input[i];
+    if (i < input.length) parts[parts.length - 1] += input[i];
   }
-  const filteredParts = parts.filter(p => p);
+  const filteredParts = parts.filter(p => p.trim());
 
-  // Parse out options
-  return filteredParts.map((part) => {
-    const item = part.trim().replace(ARTICLE_REGEX, "");
+  // Parse out options and quantity
+  const parsed = filteredParts.map((part) => {
+    let item = part.trim().replace(ARTICLE_REGEX, "");
 
     const matchedOptions = item.match(OPTIONS_REGEX);
-    const formattedItem = [];
+    let options = [];
     if (matchedOptions) {
-      const options = matchedOptions[1].split(",").map(o => o.trim());
-      formattedItem.push(item.slice(0, item.indexOf("(")).trim());
-      formattedItem.push(options);
-    } else {
-      formattedItem.push(item);
-      formattedItem.push([]);
+      options = matchedOptions[1].split(",").map(o => o.trim());
+      item = item.slice(0, item.indexOf("(")).trim();
+    }
+
+    let quantity = 1;
+    const prefix = item.match(QUANTITY_PREFIX_REGEX);
+    const suffix = item.match(QUANTITY_SUFFIX_REGEX);
+    if (prefix) {
+      quantity = prefix[1] ? parseInt(prefix[1]) : QUANTITY_WORDS.indexOf(prefix[2].toLowerCase()) + 1;
+      item = prefix[3];
+    } else if (suffix) {
+      quantity = parseInt(suffix[2]);
+      item = suffix[1];
     }
-    return formattedItem;
+
+    return [item, options, Math.max(quantity, 1)];
   });
+
+  // Merge items that were entered more than once
+  return parsed.reduce((memo, [item, options, quantity]) => {
+    const same = memo.find(([i, o]) => i.toLowerCase() === item.toLowerCase() && o.join() === options.join());
+    if (same) {
+      same[2] += quantity;
+    } else {
+      memo.push([item, options, quantity]);
+    }
+    return memo;
+  }, []);
 };
 
 /**
@@ -109,11 +134,12 @@ module.exports.correctItems = async (orders, restaurantName) => {
   const errorItems = [];
 
   const items = (await Menu.getMenu(restaurantName)).items;
-  return Promise.all(orders.map(async ([itemName, options]) => {
-    const result = {};
+  return Promise.all(orders.map(async ([itemName, options, quantity = 1]) => {
+    const found = findMenuItem(items, itemName);
+    const correctedItem = found.item;
+    quantity *= found.quantity;
 
-    // Find correct item
-    const correctedItem = findCorrectObject(items, itemName);
+    const result = { quantity };
     if (correctedItem) {
       result.successful = true;
       result.item = {
@@ -167,7 +193,7 @@ module.exports.correctItems = async (orders, restaurantName) => {
       }
 
       // Compute subtotal
-      result.subtotal = correctedItem.price + result.options.reduce((m, o) => m + o.price, 0);
+      result.subtotal = (correctedItem.price + result.options.reduce((m, o) => m + o.price, 0)) * quantity;
 
       // Any remaining inputted options will be put in comments
       result.comments = options || "";
@@ -189,6 +215,48 @@ module.exports.correctItems = async (orders, restaurantName) => {
   }));
 };
 
+/**
+ * Converts the items of an order back into text that parseOrders understands,
+ * e.g. "2 Chicken Momo (Large), Garlic Naan"
+ */
+module.exports.itemsToText = (orderItems) => {
+  return orderItems.map(({ item, options, comments, quantity }) => {
+    const optionNames = (options || []).filter(o => o.successful).map(o => o.name).concat(comments || []);
+    const quantityText = quantity > 1 ? `${quantity} ` : "";
+    return `${quantityText}${item.name}${optionNames.length > 0 ? ` (${optionNames.join(", ")})` : ""}`;
+  }).join(", ");
+};
+
+/**
+ * Converts the items of an order back into the format returned by parseOrders,
+ * so they can be corrected again against the current menu
+ */
+module.exports.itemsToParsed = (orderItems) => {
+  return orderItems.map(({ item, options, comments, quantity }) => {
+    const optionNames = (options || []).filter(o => o.successful).map(o => o.name);
+    return [item.name, optionNames.concat(comments || []), quantity || 1];
+  });
+};
+
+/**
+ * Given the items of an existing order and the name of an item, returns the
+ * indexes of the items it could refer to. Since these are removed or replaced,
+ * every word of the name has to start a word of the item's name (so "it"
+ * doesn't match "Thai Tea"), and a blank name matches nothing. An exact name
+ * wins over partial matches, and items with the same name count as one.
+ */
+module.exports.findOrderItems = (orderItems, itemName) => {
+  const wanted = [nameWords(itemName), nameWords(singularize(String(itemName || "").trim()))];
+  if (wanted[0].length === 0) return [];
+
+  const candidates = orderItems.map(({ item }, index) => ({ name: item.name, words: nameWords(item.name), index }));
+  const exact = candidates.filter(c => wanted.some(w => w.join(" ") === c.words.join(" ")));
+  const matches = exact.length > 0 ? exact : candidates.filter((c) => {
+    return wanted.some(w => w.every(word => c.words.some(cWord => cWord.startsWith(word))));
+  });
+  return matches.filter((m, i) => matches.findIndex(o => o.name === m.name) === i).map(m => m.index);
+};
+
 /**
  * Given a parsed set of orders, attempt to guess which restaurant they're from
  */
@@ -198,7 +266,7 @@ module.exports.guessRestaurant = async (orders, restaurantName) => {
   // See which menu matches the most items
   const mostMatch = menus.reduce((memo, { name, items }) => {
     const matchingItems = orders.reduce((total, [itemName, options]) => {
-      return findCorrectObject(items, itemName) ? total + 1 : total;
+      return findMenuItem(items, itemName).item ? total + 1 : total;
     }, 0);
 
     return matchingItems > memo.matchingItems ? { matchingItems, name } : memo;
@@ -230,6 +298,213 @@ module.exports.parseOption = (optionText) => {
   };
 };
 
+/**
+ * Parses times like "3:30pm", "15:30" or "1530" into a number like 1530.
+ * Returns undefined if the text isn't a valid time. Times from 1 to 6 without
+ * am/pm are assumed to be in the afternoon.
+ */
+const TIME_REGEX = /^(\d{1,2})(?::?(\d{2}))? *([ap])?\.?m?\.?$/i;
+module.exports.parseTime = (text) => {
+  const matches = TIME_REGEX.exec(String(text).trim());
+  if (!matches) return;
+
+  let hours = parseInt(matches[1]);
+  const minutes = matches[2] ? parseInt(matches[2]) : 0;
+  const meridiem = matches[3] && matches[3].toLowerCase();
+  if (meridiem === "p" && hours < 12) hours += 12;
+  if (meridiem === "a" && hours === 12) hours = 0;
+  if (!meridiem && hours >= 1 && hours <= 6) hours += 12;
+
+  if (hours > 23 || minutes > 59) return;
+  return hours * 100 + minutes;
+};
+
+/**
+ * Formats a time like 1530 as "3:30pm"
+ */
+module.exports.formatTime = (time) => {
+  const hours = Math.floor(time / 100);
+  const minutes = `${time % 100}`.padStart(2, "0");
+  return `${hours % 12 || 12}:${minutes}${hours < 12 ? "am" : "pm"}`;
+};
+
+/**
+ * Returns the given date as a string like "2019-10-15", in local time
+ */
+const dateKey = (date = new Date()) => {
+  const pad = n => `${n}`.padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+module.exports.dateKey = dateKey;
+
+/**
+ * Parses dates like "yesterday", "last tuesday", "10/15", "Oct 15" or an ISO
+ * string (from Dialogflow) into a string like "2019-10-15". Weekdays and dates
+ * without a year refer to the most recent such day, or the next one (which may
+ * be today) if future is set. Returns undefined if the text isn't a date.
+ */
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+module.exports.parseDate = (text, now = new Date(), future = false) => {
+  const cleaned = String(text).toLowerCase().replace(/^on /, "").trim();
+  const date = new Date(now);
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(cleaned)) return cleaned;
+  if (/^\d{4}-\d{2}-\d{2}t/.test(cleaned)) return dateKey(new Date(text));
+  if (cleaned === "today") return dateKey(date);
+  if (cleaned === "yesterday" || cleaned === "tomorrow") {
+    date.setDate(date.getDate() + (cleaned === "tomorrow" ? 1 : -1));
+    return dateKey(date);
+  }
+
+  const weekday = future
+    ? cleaned.match(/^(?:next |this )?(sun|mon|tue|wed|thu|fri|sat)[a-z]*$/)
+    : cleaned.match(/^(?:last )?(sun|mon|tue|wed|thu|fri|sat)[a-z]*$/);
+  if (weekday) {
+    if (future) {
+      date.setDate(date.getDate() + (WEEKDAYS.indexOf(weekday[1]) - date.getDay() + 7) % 7);
+    } else {
+      date.setDate(date.getDate() - ((date.getDay() - WEEKDAYS.indexOf(weekday[1]) + 7) % 7 || 7));
+    }
+    return dateKey(date);
+  }
+
+  let month, day, year;
+  const numeric = cleaned.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+  const named = cleaned.match(/^([a-z]{3})[a-z]*\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?$/);
+  if (numeric) {
+    [month, day, year] = [parseInt(numeric[1]) - 1, parseInt(numeric[2]), numeric[3]];
+  } else if (named && MONTHS.includes(named[1])) {
+    [month, day, year] = [MONTHS.indexOf(named[1]), parseInt(named[2]), named[3]];
+  } else {
+    return;
+  }
+
+  if (year) {
+    date.setFullYear(year.length === 2 ? 2000 + parseInt(year) : parseInt(year), month, day);
+  } else {
+    date.setMonth(month, day);
+    if (!future && date > now) date.setFullYear(date.getFullYear() - 1);
+    if (future && dateKey(date) < dateKey(now)) date.setFullYear(date.getFullYear() + 1);
+  }
+  return dateKey(date);
+};
+
+/**
+ * Formats a date string like "2019-10-15" as "Tue, Oct 15"
+ */
+module.exports.formatDate = (key) => {
+  const [year, month, day] = key.split("-").map(n => parseInt(n));
+  const date = new Date(year, month - 1, day);
+  const weekday = WEEKDAYS[date.getDay()];
+  return `${weekday[0].toUpperCase()}${weekday.slice(1)}, ${MONTHS[month - 1][0].toUpperCase()}${MONTHS[month - 1].slice(1)} ${day}`;
+};
+
+/**
+ * Parses weekdays like "monday" or "Tues" into a number from 0 (Sunday) to 6,
+ * or undefined if the text isn't a weekday
+ */
+module.exports.parseWeekday = (text) => {
+  const weekday = String(text).toLowerCase().trim().match(/^(sun|mon|tue|wed|thu|fri|sat)[a-z]*$/);
+  return weekday ? WEEKDAYS.indexOf(weekday[1]) : undefined;
+};
+
+/**
+ * Formats a weekday number (0 is Sunday) as "Monday"
+ */
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+module.exports.formatWeekday = day => WEEKDAY_NAMES[day];
+
+/**
+ * Parses date ranges like "this month", "last week", "since June", "in Q2",
+ * "past 30 days" or "from 6/1 to 6/15" into { start, end }, where each is a
+ * string like "2019-10-15" and either may be missing for an open range. A
+ * single date is a range of one day. Also accepts a Dialogflow date period
+ * ({ startDate, endDate }). Returns undefined if the text isn't a date range.
+ */
+const QUARTER_REGEX = /^q([1-4])(?: (\d{4}))?$/;
+const MONTH_REGEX = /^([a-z]{3,})\.?(?: (\d{4}))?$/;
+const MONTH_NAMES = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+const RELATIVE_REGEX = /^(this|last) (week|month|quarter|year)$/;
+const PAST_REGEX = /^(?:the )?(?:last|past) (\d+) (day|week|month)s?$/;
+const BETWEEN_REGEX = /^(?:from|between) (.+) (?:to|and|until|through) (.+)$/;
+module.exports.parseDateRange = (text, now = new Date()) => {
+  if (text && text.startDate) {
+    return { start: dateKey(new Date(text.startDate)), end: dateKey(new Date(text.endDate)) };
+  }
+
+  const cleaned = String(text).toLowerCase().replace(/^(in|during|for|over) /, "").trim();
+  const today = dateKey(now);
+  const range = (start, end) => ({ start: dateKey(start), end: dateKey(end) });
+  const monthRange = (year, month, months = 1) => range(new Date(year, month, 1), new Date(year, month + months, 0));
+
+  const since = cleaned.match(/^(?:since|after) (.+)$/);
+  if (since) {
+    const start = module.exports.parseDateRange(since[1], now);
+    return start && { start: start.start, end: today };
+  }
+
+  const between = cleaned.match(BETWEEN_REGEX);
+  if (between) {
+    const [start, end] = [between[1], between[2]].map(t => module.exports.parseDateRange(t, now));
+    return start && end && { start: start.start, end: end.end };
+  }
+
+  const relative = cleaned.match(RELATIVE_REGEX);
+  if (relative) {
+    const offset = relative[1] === "last" ? 1 : 0;
+    if (relative[2] === "week") {
+      const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay() - 7 * offset);
+      return range(start, new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6));
+    } else if (relative[2] === "month") {
+      return monthRange(now.getFullYear(), now.getMonth() - offset);
+    } else if (relative[2] === "quarter") {
+      return monthRange(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3 - 3 * offset, 3);
+    }
+    return monthRange(now.getFullYear() - offset, 0, 12);
+  }
+
+  const past = cleaned.match(PAST_REGEX);
+  if (past) {
+    const n = parseInt(past[1]);
+    const start = new Date(now);
+    if (past[2] === "day") start.setDate(start.getDate() - n + 1);
+    if (past[2] === "week") start.setDate(start.getDate() - 7 * n + 1);
+    if (past[2] === "month") start.setMonth(start.getMonth() - n);
+    return { start: dateKey(start), end: today };
+  }
+
+  // Quarters, months and years without a year refer to the most recent one
+  const quarter = cleaned.match(QUARTER_REGEX);
+  if (quarter) {
+    const month = (parseInt(quarter[1]) - 1) * 3;
+    const year = quarter[2] ? parseInt(quarter[2]) : now.getFullYear() - (month > now.getMonth() ? 1 : 0);
+    return monthRange(year, month, 3);
+  }
+
+  const month = cleaned.match(MONTH_REGEX);
+  const index = month ? MONTH_NAMES.findIndex(m => m.startsWith(month[1])) : -1;
+  if (index !== -1) {
+    const year = month[2] ? parseInt(month[2]) : now.getFullYear() - (index > now.getMonth() ? 1 : 0);
+    return monthRange(year, index);
+  }
+
+  if (/^\d{4}$/.test(cleaned)) return monthRange(parseInt(cleaned), 0, 12);
+
+  const date = module.exports.parseDate(cleaned, now);
+  return date && { start: date, end: date };
+};
+
+/**
+ * Describes the given date range, e.g. "from Mon, Jun 1 to Tue, Jun 30"
+ */
+module.exports.formatDateRange = ({ start, end }) => {
+  if (start === end) return `on ${module.exports.formatDate(start)}`;
+  if (!start) return `until ${module.exports.formatDate(end)}`;
+  if (!end) return `since ${module.exports.formatDate(start)}`;
+  return `from ${module.exports.formatDate(start)} to ${module.exports.formatDate(end)}`;
+};
+
 /********************************** Helpers ***********************************/
 
 /**
@@ -240,6 +515,33 @@ const findCorrectObject = (choices, name) => {
   return matches.length === 0 ? false : matches[0];
 };
 
+/**
+ * Finds the menu item with the given name, trying the singular form of plurals
+ * like "momos". A number at the start of the name is a quantity, unless it's
+ * part of the item's name on the menu (like "7 Up"). Returns the item (or
+ * false) and the quantity from the name (or 1).
+ */
+const LEADING_NUMBER_REGEX = /^(\d+) +(.+)$/;
+const findMenuItem = (items, name) => {
+  const find = n => findCorrectObject(items, n) || findCorrectObject(items, singularize(n));
+  const item = find(name);
+
+  const leading = name.match(LEADING_NUMBER_REGEX);
+  if (leading && !(item && item.name.startsWith(leading[1]))) {
+    const withoutNumber = find(leading[2]);
+    if (withoutNumber) return { item: withoutNumber, quantity: Math.max(parseInt(leading[1]), 1) };
+  }
+  return { item, quantity: 1 };
+};
+
+/**
+ * Naively strips a plural ending, e.g. "momos" to "momo"
+ */
+const singularize = name => name.replace(/(?<=[^s])(es|s)$/i, "");
+
+// Splits a name into lowercase words, ignoring punctuation
+const nameWords = name => String(name || "").toLowerCase().replace(/[^a-z0-9 ]/g, " ").split(" ").filter(w => w);
+
 /**
  * Suggests an item using Levenshtein
  */